@@ -2,7 +2,20 @@
 // ASA CODE-HARMONIZER – B verzió
 // - Cloudflare Worker
 // - ASA MATRIX mini UI (triple black + dark turquoise + cyan green)
-// - /api/harmonize -> GitHub PR generálás
+// - /api/harmonize -> valódi harmonizálás (shared harmonizer engine)
+//   + run manifest + egy atomi commit + GitHub PR (API key / HMAC auth, apply scope)
+
+import { authenticate, authorize, AuthError } from "../../cloudflare-workers/shared/auth.js";
+import { resolveLlmConfig } from "../../cloudflare-workers/shared/llm-provider.js";
+import { splitPatternList } from "../../cloudflare-workers/shared/glob.js";
+import {
+  runHarmonization,
+  commitFilesAtomically,
+  deleteBranch,
+  ghClient,
+  ghGet,
+  ghPost,
+} from "../../cloudflare-workers/shared/harmonizer-engine.js";
 
 export default {
   async fetch(request, env, ctx) {
@@ -23,7 +36,29 @@ export default {
     // API: harmonizálás + PR
     if (path === "/api/harmonize" && request.method === "POST") {
       try {
-        const body = await request.json().catch(() => ({}));
+        const bodyText = await request.text();
+
+        // Csak hitelesített, apply jogú kulccsal nyitható PR
+        let identity;
+        try {
+          identity = await authenticate(request, env, bodyText);
+          authorize(identity, {
+            owner: env.GITHUB_OWNER,
+            repo: env.GITHUB_REPO,
+            action: "apply",
+          });
+        } catch (err) {
+          if (!(err instanceof AuthError)) throw err;
+          return new Response(
+            JSON.stringify({ ok: false, step: "auth", error: err.message }),
+            { status: err.status, headers: { "Content-Type": "application/json" } }
+          );
+        }
+
+        let body = {};
+        try {
+          body = JSON.parse(bodyText || "{}");
+        } catch (_) {}
 
         const title =
           body.title || "ASA CODE-HARMONIZER – automatic harmonization";
@@ -31,7 +66,9 @@ export default {
           body.description ||
           "PR created by ASA CODE-HARMONIZER worker (B layout).";
         const paths = body.paths || [];
-        const caller = body.caller || "ASA_MATRIX_UI";
+        // A caller mindig a hitelesített kulcs; a kliens címkéje csak info
+        const caller = identity.id;
+        const client = body.caller || null;
 
         const owner = env.GITHUB_OWNER;
         const repo = env.GITHUB_REPO;
@@ -49,136 +86,159 @@ export default {
           );
         }
 
-        // 1) Base branch SHA lekérése
-        const baseRefResp = await fetch(
-          `https://api.github.com/repos/${owner}/${repo}/git/ref/heads/${baseBranch}`,
-          {
-            headers: githubHeaders(token),
-          }
-        );
+        const gh = ghClient(token);
+        const repoApi = `https://api.github.com/repos/${owner}/${repo}`;
 
-        if (!baseRefResp.ok) {
-          const txt = await baseRefResp.text();
-          return new Response(
-            JSON.stringify({
-              ok: false,
-              step: "get_base_ref",
-              status: baseRefResp.status,
-              body: txt,
-            }),
-            { status: 500, headers: { "Content-Type": "application/json" } }
+        // Célutak: a UI "paths" mezője (globok), különben DEFAULT_PATHS
+        const include = splitPatternList(paths).length
+          ? splitPatternList(paths)
+          : splitPatternList(env.DEFAULT_PATHS);
+
+        if (!include.length) {
+          return stepError(
+            "collect",
+            "No target paths given and DEFAULT_PATHS is not set.",
+            400
           );
         }
 
-        const baseRef = await baseRefResp.json();
-        const baseSha = baseRef.object.sha;
-
-        // 2) Új branch létrehozása
-        const branchName = `asa-harmonizer-${Date.now()}`;
-        const createRefResp = await fetch(
-          `https://api.github.com/repos/${owner}/${repo}/git/refs`,
-          {
-            method: "POST",
-            headers: githubHeaders(token),
-            body: JSON.stringify({
-              ref: `refs/heads/${branchName}`,
-              sha: baseSha,
-            }),
-          }
-        );
+        let llm;
+        try {
+          llm = resolveLlmConfig(env, { provider: body.provider, model: body.model });
+        } catch (err) {
+          return stepError("llm_config", err);
+        }
 
-        if (!createRefResp.ok) {
-          const txt = await createRefResp.text();
-          return new Response(
-            JSON.stringify({
-              ok: false,
-              step: "create_ref",
-              status: createRefResp.status,
-              body: txt,
-            }),
-            { status: 500, headers: { "Content-Type": "application/json" } }
-          );
+        // 1) Base branch SHA lekérése
+        let baseSha;
+        try {
+          const baseRef = await ghGet(gh, `${repoApi}/git/ref/heads/${baseBranch}`);
+          baseSha = baseRef.object.sha;
+        } catch (err) {
+          return stepError("get_base_ref", err);
+        }
+
+        // 2) Valódi harmonizálás: fájlok begyűjtése → LLM passzok → diffek
+        let run;
+        try {
+          run = await runHarmonization(env, gh, repoApi, {
+            llm,
+            owner,
+            repo,
+            baseSha,
+            baseBranch,
+            note: description,
+            selection: {
+              include,
+              exclude: splitPatternList(body.exclude),
+              extensions: splitPatternList(body.extensions),
+            },
+          });
+        } catch (err) {
+          return stepError("harmonize", err);
+        }
+
+        if (!run.collected.length) {
+          return stepError("collect", "No files found in target paths.", 400, {
+            paths: include,
+            ignored: run.ignored,
+          });
+        }
+
+        if (!run.changedFiles.length) {
+          return stepError("harmonize", "Harmonizer made no effective changes.", 422, {
+            skipped: run.result.skipped,
+            rejected: run.result.rejected,
+          });
         }
 
-        // 3) Egy "touchpoint" file commit – ide írjuk a harmonizáció meta infóit
-        const filePath = `asa_harmonizer/ASA_HARMONIZER_${Date.now()}.md`;
+        // 3) Run manifest – a "touchpoint" file a valódi változások mellé kerül
+        const runId = Date.now();
+        const branchName = `asa-harmonizer-${runId}`;
+        const filePath = `asa_harmonizer/ASA_HARMONIZER_${runId}.md`;
+        const changed = run.diffs.filter((d) => !d.noop);
 
         const markdownContent = [
           "# ASA CODE-HARMONIZER",
           "",
           `Created at: ${new Date().toISOString()}`,
           `Caller: ${caller}`,
+          ...(client ? [`Client: ${client}`] : []),
+          `Base: \`${baseBranch}\` @ \`${baseSha}\``,
+          `LLM: ${run.result.llm.provider} / ${run.result.llm.model} (${run.result.passes} pass)`,
           "",
           "## Target paths",
           "",
-          ...(paths.length ? paths.map((p) => `- \`${p}\``) : ["- (none)"]),
+          ...include.map((p) => `- \`${p}\``),
           "",
           "## Notes",
           "",
           description,
+          "",
+          "## Summary",
+          "",
+          run.result.summary || "(none)",
+          "",
+          "## Changed files",
+          "",
+          ...changed.map(
+            (d) =>
+              `- \`${d.from ? `${d.from} → ${d.path}` : d.path}\` (${d.action}, +${d.added} / -${d.removed})` +
+              (d.rationale ? ` – ${d.rationale}` : "")
+          ),
+          ...(run.result.skipped.length || run.result.rejected.length
+            ? [
+                "",
+                "## Not applied",
+                "",
+                ...[...run.result.skipped, ...run.result.rejected].map(
+                  (r) => `- \`${r.path}\`: ${r.reason}`
+                ),
+              ]
+            : []),
         ].join("\n");
 
-        const contentBase64 = toBase64(markdownContent);
-
-        const putFileResp = await fetch(
-          `https://api.github.com/repos/${owner}/${repo}/contents/${encodeURIComponent(
-            filePath
-          )}`,
-          {
-            method: "PUT",
-            headers: githubHeaders(token),
-            body: JSON.stringify({
-              message: `ASA CODE-HARMONIZER touchpoint for ${branchName}`,
-              content: contentBase64,
-              branch: branchName,
-            }),
-          }
-        );
-
-        if (!putFileResp.ok) {
-          const txt = await putFileResp.text();
-          return new Response(
-            JSON.stringify({
-              ok: false,
-              step: "create_file",
-              status: putFileResp.status,
-              body: txt,
-            }),
-            { status: 500, headers: { "Content-Type": "application/json" } }
-          );
+        // 4) Egyetlen atomi commit: változások + manifest
+        let commit;
+        try {
+          commit = await commitFilesAtomically(gh, repoApi, {
+            baseSha,
+            message: `ASA CODE-HARMONIZER: ${title}`,
+            files: [...run.changedFiles, { path: filePath, content: markdownContent + "\n" }],
+          });
+        } catch (err) {
+          return stepError("commit", err);
         }
 
-        // 4) PR létrehozása
-        const prResp = await fetch(
-          `https://api.github.com/repos/${owner}/${repo}/pulls`,
-          {
-            method: "POST",
-            headers: githubHeaders(token),
-            body: JSON.stringify({
-              title,
-              head: branchName,
-              base: baseBranch,
-              body:
-                description +
-                "\n\n> Automatically generated by ASA CODE-HARMONIZER Worker.\n",
-            }),
-          }
-        );
-
-        if (!prResp.ok) {
-          const txt = await prResp.text();
-          return new Response(
-            JSON.stringify({
-              ok: false,
-              step: "create_pr",
-              status: prResp.status,
-              body: txt,
-            }),
-            { status: 500, headers: { "Content-Type": "application/json" } }
-          );
+        // 5) Branch a kész commitra
+        try {
+          await ghPost(gh, `${repoApi}/git/refs`, {
+            ref: `refs/heads/${branchName}`,
+            sha: commit.sha,
+          });
+        } catch (err) {
+          return stepError("create_ref", err);
         }
 
-        const prJson = await prResp.json();
+        // 6) PR létrehozása (hiba esetén a branch-et takarítjuk)
+        let prJson;
+        try {
+          prJson = await ghPost(gh, `${repoApi}/pulls`, {
+            title,
+            head: branchName,
+            base: baseBranch,
+            body:
+              description +
+              (run.result.summary ? `\n\n## Summary\n\n${run.result.summary}` : "") +
+              `\n\nRun manifest: \`${filePath}\`` +
+              `\n\n---\nRequested by: \`${caller}\`` +
+              (client ? ` (client: ${client})` : "") +
+              "\n\n> Automatically generated by ASA CODE-HARMONIZER Worker.\n",
+          });
+        } catch (err) {
+          await deleteBranch(gh, repoApi, branchName);
+          return stepError("create_pr", err);
+        }
 
         return new Response(
           JSON.stringify({
@@ -187,6 +247,12 @@ export default {
             filePath,
             pr_url: prJson.html_url,
             pr_number: prJson.number,
+            caller,
+            commit: commit.sha,
+            summary: run.result.summary,
+            changed_files: changed.map(({ diff, ...meta }) => meta),
+            skipped: run.result.skipped,
+            rejected: run.result.rejected,
           }),
           { status: 200, headers: { "Content-Type": "application/json" } }
         );
@@ -215,18 +281,16 @@ export default {
 
 // ---- Helpers ----
 
-function githubHeaders(token) {
-  return {
-    Authorization: `Bearer ${token}`,
-    Accept: "application/vnd.github+json",
-    "X-GitHub-Api-Version": "2022-11-28",
-    "User-Agent": "ASA-CODE-HARMONIZER",
-  };
-}
-
-function toBase64(str) {
-  // CF Worker környezetben btoa elérhető
-  return btoa(unescape(encodeURIComponent(str)));
+function stepError(step, err, status = 500, extra = {}) {
+  return new Response(
+    JSON.stringify({
+      ok: false,
+      step,
+      error: typeof err === "string" ? err : String(err?.message || err),
+      ...extra,
+    }),
+    { status, headers: { "Content-Type": "application/json" } }
+  );
 }
 
 // Triple black + dark turquoise + cyan green, vortex animációs háttér
@@ -406,7 +470,8 @@ function renderUiHtml() {
       color: rgba(199, 245, 238, 0.65);
     }
 
-    textarea {
+    textarea,
+    input {
       width: 100%;
       min-height: 80px;
       border-radius: 16px;
@@ -419,7 +484,8 @@ function renderUiHtml() {
       outline: none;
     }
 
-    textarea::placeholder {
+    textarea::placeholder,
+    input::placeholder {
       color: rgba(119, 166, 160, 0.7);
     }
 
@@ -537,11 +603,12 @@ function renderUiHtml() {
         <span>Target paths (optional)</span>
         <span class="pill-badge">ASA MATRIX INPUT</span>
       </div>
+      <input id="apiKey" type="password" placeholder="ASA API key (stored in this browser only)" />
       <textarea id="paths" placeholder="apps/**, packages/** or specific paths like apps/backend/src/index.ts"></textarea>
 
       <div class="label-row">
         <span>PR description (optional)</span>
-        <span>Caller: ASA MATRIX UI</span>
+        <span>Caller: your API key</span>
       </div>
       <textarea id="description" placeholder="Describe what kind of harmonization you want (structure, style, etc.)"></textarea>
     </div>
@@ -568,6 +635,12 @@ function renderUiHtml() {
     const statusText = document.getElementById("statusText");
     const pathsField = document.getElementById("paths");
     const descField = document.getElementById("description");
+    const apiKeyField = document.getElementById("apiKey");
+
+    apiKeyField.value = localStorage.getItem("asaApiKey") || "";
+    apiKeyField.addEventListener("change", () => {
+      localStorage.setItem("asaApiKey", apiKeyField.value.trim());
+    });
 
     function log(msg) {
       const now = new Date().toLocaleTimeString();
@@ -595,7 +668,10 @@ function renderUiHtml() {
 
         const res = await fetch("/api/harmonize", {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: "Bearer " + apiKeyField.value.trim(),
+          },
           body: JSON.stringify(body),
         });
 
@@ -606,7 +682,8 @@ function renderUiHtml() {
           statusText.textContent = "Error";
         } else {
           const prUrl = json.pr_url || "(no url)";
-          log("OK – PR created: <a href='" + prUrl + "' target='_blank' style='color:#00ff9f; text-decoration:none;'>" + prUrl + "</a>");
+          const n = (json.changed_files || []).length;
+          log("OK – " + n + " file(s) harmonized, PR created: <a href='" + prUrl + "' target='_blank' style='color:#00ff9f; text-decoration:none;'>" + prUrl + "</a>");
           statusText.textContent = "PR: #" + json.pr_number;
         }
       } catch (err) {
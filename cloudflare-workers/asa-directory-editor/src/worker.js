@@ -1,9 +1,23 @@
 // ======================================================================
 // ASA DIRECTORY EDITOR – HARMONIZER WORKER (FULL CLEAN VERSION)
 // Cloudflare Workers runtime compatible
-// No npm, no build, no bundler required
+// No npm, no build step – wrangler bundles the local ../../shared imports
 // ======================================================================
 
+import { resolveLlmConfig } from "../../shared/llm-provider.js";
+import { splitPatternList } from "../../shared/glob.js";
+import { authenticate, authorize, AuthError } from "../../shared/auth.js";
+import { GitHubError, GitHubRateLimitError } from "../../shared/github.js";
+import {
+  runHarmonization,
+  diffStats,
+  commitFilesAtomically,
+  deleteBranch,
+  ghClient,
+  ghGet,
+  ghPost
+} from "../../shared/harmonizer-engine.js";
+
 export default {
   async fetch(req, env, ctx) {
     const url = new URL(req.url);
@@ -15,6 +29,39 @@ export default {
       return json({ ok: true, worker: "asa-directory-editor", status: "online" });
     }
 
+    // --------------------------------------------------------------
+    // REVIEW UI
+    // --------------------------------------------------------------
+    if (url.pathname === "/" && req.method === "GET") {
+      return new Response(renderUiHtml(), {
+        headers: { "Content-Type": "text/html; charset=utf-8" }
+      });
+    }
+
+    // --------------------------------------------------------------
+    // STORED PREVIEWS: GET /harmonize/:id, POST /harmonize/:id/apply
+    // --------------------------------------------------------------
+    const previewMatch = url.pathname.match(/^\/harmonize\/([\w-]+)(\/apply)?$/);
+    if (previewMatch) {
+      const [, previewId, applySuffix] = previewMatch;
+      try {
+        if (applySuffix && req.method !== "POST") return json({ ok: false, error: "Only POST allowed" }, 405);
+        if (!applySuffix && req.method !== "GET") return json({ ok: false, error: "Only GET allowed" }, 405);
+
+        const identity = await authenticate(req, env, await req.text());
+        const record = await loadPreview(env, previewId);
+        if (!record) return json({ ok: false, error: "Preview not found or expired" }, 404);
+
+        const action = applySuffix ? "apply" : "preview";
+        authorize(identity, { owner: record.owner, repo: record.repo, action });
+
+        if (applySuffix) return await applyStoredPreview(env, record, identity);
+        return json({ ok: true, preview: record });
+      } catch (err) {
+        return errorResponse(err);
+      }
+    }
+
     // --------------------------------------------------------------
     // ONLY POST ALLOWED FOR /harmonize
     // --------------------------------------------------------------
@@ -27,308 +74,610 @@ export default {
     }
 
     try {
-      const body = await req.json();
+      const bodyText = await req.text();
+      const identity = await authenticate(req, env, bodyText);
+      const body = JSON.parse(bodyText || "{}");
       const {
-        paths = [],
         apply = false,
         owner = env.GITHUB_OWNER,
         repo = env.GITHUB_REPO,
         baseBranch = env.BASE_BRANCH || "main",
-        note = "ASA MATRIX harmonizer run"
+        note = "ASA MATRIX harmonizer run",
+        provider,
+        model
       } = body;
 
+      // paths = include globs; DEFAULT_PATHS when the request gives none
+      const paths = splitPatternList(body.paths).length
+        ? splitPatternList(body.paths)
+        : splitPatternList(env.DEFAULT_PATHS);
+      const selection = {
+        include: paths,
+        exclude: splitPatternList(body.exclude),
+        extensions: splitPatternList(body.extensions)
+      };
+
       // --------------------------------------------------------------
       // VALIDATION
       // --------------------------------------------------------------
       if (!env.GITHUB_TOKEN) throw new Error("Missing GITHUB_TOKEN");
-      if (!env.OPENAI_API_KEY) throw new Error("Missing OPENAI_API_KEY");
       if (!owner || !repo) throw new Error("Missing repo owner/name");
       if (!paths.length) throw new Error("No paths provided");
 
-      // --------------------------------------------------------------
-      // STEP 1 — COLLECT FILES FROM GITHUB
-      // --------------------------------------------------------------
-      const collected = [];
-      for (const p of paths) {
-        await crawlGitHubDir(owner, repo, baseBranch, p, env.GITHUB_TOKEN, collected);
-      }
+      authorize(identity, { owner, repo, action: apply ? "apply" : "preview" });
 
-      if (!collected.length) {
-        return json({
-          ok: false,
-          error: "No files found in provided paths",
-          paths
-        }, 400);
-      }
+      const llm = resolveLlmConfig(env, { provider, model });
 
-      console.log(`Collected ${collected.length} files`);
+      const gh = ghClient(env.GITHUB_TOKEN);
+      const repoApi = `https://api.github.com/repos/${owner}/${repo}`;
+
+      // Pin the base SHA so preview, diff and commit all see the same tree
+      const baseRef = await ghGet(gh, `${repoApi}/git/ref/heads/${baseBranch}`);
+      const baseSha = baseRef.object.sha;
 
       // --------------------------------------------------------------
-      // STEP 2 — CALL OPENAI HARMONIZER
+      // STEP 1+2 — COLLECT FILES (glob over the tree) → LLM PASSES → DIFFS
       // --------------------------------------------------------------
-      const harmonizerResult = await callOpenAIHarmonizer(env.OPENAI_API_KEY, {
+      const {
+        collected,
+        ignored,
+        cache,
+        result: harmonizerResult,
+        diffs,
+        changedFiles
+      } = await runHarmonization(env, gh, repoApi, {
+        llm,
         owner,
         repo,
+        baseSha,
         baseBranch,
         note,
-        files: collected.slice(0, 12) // limit to avoid token overload
+        selection
       });
 
+      if (!collected.length) {
+        return json({
+          ok: false,
+          error: "No files found in provided paths",
+          ...selection,
+          ignored
+        }, 400);
+      }
+
       if (!harmonizerResult.files?.length) {
-        return json({ ok: false, error: "Harmonizer returned no files" }, 500);
+        return json({
+          ok: false,
+          error: "Harmonizer returned no files",
+          rejected: harmonizerResult.rejected
+        }, 500);
       }
 
-      // IF PREVIEW → RETURN NEW FILES
+      // IF PREVIEW → STORE + RETURN UNIFIED DIFFS AGAINST BASE BRANCH
       if (!apply) {
+        const previewId = await storePreview(env, {
+          owner,
+          repo,
+          baseBranch,
+          baseSha,
+          note,
+          requestedBy: identity.id,
+          summary: harmonizerResult.summary || null,
+          files: changedFiles
+        });
+
         return json({
           ok: true,
           mode: "preview",
+          caller: identity.id,
+          previewId,
+          baseSha,
           summary: harmonizerResult.summary || null,
-          files: harmonizerResult.files
+          passes: harmonizerResult.passes,
+          llm: harmonizerResult.llm,
+          blobCache: cache,
+          ignored,
+          skipped: harmonizerResult.skipped,
+          rejected: harmonizerResult.rejected,
+          stats: diffStats(diffs),
+          files: diffs
         });
       }
 
-      // --------------------------------------------------------------
-      // STEP 3 — APPLY MODE → Create branch + commit + PR
-      // --------------------------------------------------------------
-      const gh = ghClient(env.GITHUB_TOKEN);
-
-      // Get base branch SHA
-      const baseRef = await ghGet(gh,
-        `https://api.github.com/repos/${owner}/${repo}/git/ref/heads/${baseBranch}`
-      );
-
-      const baseSha = baseRef.object.sha;
-      const newBranch = `asa-harmonizer-${Date.now()}`;
-
-      // Create new branch
-      await ghPost(gh,
-        `https://api.github.com/repos/${owner}/${repo}/git/refs`,
-        { ref: `refs/heads/${newBranch}`, sha: baseSha }
-      );
-
-      // Commit each file
-      const updateResults = [];
-      for (const file of harmonizerResult.files) {
-        const encoded = base64encode(file.content);
-
-        const putURL =
-          `https://api.github.com/repos/${owner}/${repo}/contents/${encodeURIComponent(file.path)}`;
-
-        // Check if exists
-        let existingSha = null;
-        try {
-          const existing = await ghGet(gh,
-            `${putURL}?ref=${newBranch}`
-          );
-          existingSha = existing.sha;
-        } catch (_) {}
-
-        const payload = {
-          message: `ASA Harmonizer Update: ${file.path}`,
-          content: encoded,
-          branch: newBranch
-        };
-
-        if (existingSha) payload.sha = existingSha;
-
-        const res = await ghPut(gh, putURL, payload);
-
-        updateResults.push({
-          path: file.path,
-          status: existingSha ? "updated" : "created",
-          commit: res.commit?.sha || null
-        });
+      if (!changedFiles.length) {
+        return json({ ok: false, error: "Harmonizer made no effective changes", files: diffs }, 400);
       }
 
-      // Create PR
-      const pr = await ghPost(gh,
-        `https://api.github.com/repos/${owner}/${repo}/pulls`,
-        {
-          title: "ASA Harmonizer Automatic PR",
-          head: newBranch,
-          base: baseBranch,
-          body: harmonizerResult.summary || note
-        }
-      );
+      // --------------------------------------------------------------
+      // STEP 3 — APPLY MODE → One atomic commit (blobs → tree → commit → ref) + PR
+      // --------------------------------------------------------------
+      const result = await openHarmonizerPr(gh, repoApi, {
+        baseSha,
+        baseBranch,
+        note,
+        summary: harmonizerResult.summary,
+        files: changedFiles,
+        callerLine: `Requested by: \`${identity.id}\``
+      });
 
       return json({
         ok: true,
         mode: "apply",
-        branch: newBranch,
-        prUrl: pr.html_url,
-        prNumber: pr.number,
-        changedFiles: updateResults
+        caller: identity.id,
+        ...result,
+        passes: harmonizerResult.passes,
+        llm: harmonizerResult.llm,
+        skipped: harmonizerResult.skipped,
+        rejected: harmonizerResult.rejected,
+        noop: diffs.filter(d => d.noop).map(d => d.path)
       });
 
     } catch (err) {
-      console.error("ERROR:", err);
-      return json({ ok: false, error: err.message || String(err) }, 500);
+      return errorResponse(err);
     }
   }
 };
 
+function errorResponse(err) {
+  if (err instanceof AuthError) {
+    return json({ ok: false, error: err.message }, err.status);
+  }
+  if (err instanceof GitHubRateLimitError) {
+    return json({ ok: false, error: err.message, retryAt: err.resetAt }, 429);
+  }
+  if (err instanceof GitHubError) {
+    console.error("GITHUB:", err.message);
+    return json({ ok: false, error: err.message, githubStatus: err.status }, 502);
+  }
+  console.error("ERROR:", err);
+  return json({ ok: false, error: err.message || String(err) }, 500);
+}
+
 // ======================================================================
-// GITHUB HELPERS
+// APPLY: ATOMIC COMMIT → BRANCH → PR
 // ======================================================================
 
-function ghClient(token) {
+async function openHarmonizerPr(gh, repoApi, { baseSha, baseBranch, note, summary, files, callerLine }) {
+  const newBranch = `asa-harmonizer-${Date.now()}`;
+
+  const commit = await commitFilesAtomically(gh, repoApi, {
+    baseSha,
+    message: `ASA Harmonizer: ${note}`,
+    files
+  });
+
+  // The branch only appears once the commit is complete
+  await ghPost(gh, `${repoApi}/git/refs`, {
+    ref: `refs/heads/${newBranch}`,
+    sha: commit.sha
+  });
+
+  let pr;
+  try {
+    pr = await ghPost(gh, `${repoApi}/pulls`, {
+      title: "ASA Harmonizer Automatic PR",
+      head: newBranch,
+      base: baseBranch,
+      body: `${summary || note}\n\n---\n${callerLine}\n`
+    });
+  } catch (err) {
+    await deleteBranch(gh, repoApi, newBranch);
+    throw err;
+  }
+
   return {
-    async request(method, url, body) {
-      const init = {
-        method,
-        headers: {
-          "Authorization": `Bearer ${token}`,
-          "Accept": "application/vnd.github+json",
-          "User-Agent": "ASA-HARMONIZER"
-        }
-      };
-      if (body) {
-        init.headers["Content-Type"] = "application/json";
-        init.body = JSON.stringify(body);
-      }
-      const res = await fetch(url, init);
-      if (!res.ok) {
-        const t = await res.text();
-        throw new Error(`GitHub ${method} failed: ${res.status} ${t}`);
-      }
-      return res.json();
-  }};
+    branch: newBranch,
+    prUrl: pr.html_url,
+    prNumber: pr.number,
+    commit: commit.sha,
+    changedFiles: commit.changes
+  };
 }
 
-function ghGet(client, url) { return client.request("GET", url); }
-function ghPost(client, url, body) { return client.request("POST", url, body); }
-function ghPut(client, url, body) { return client.request("PUT", url, body); }
-
 // ======================================================================
-// GITHUB FILE CRAWLING
+// PREVIEW STORE (KV: ASA_STATE)
 // ======================================================================
 
-async function crawlGitHubDir(owner, repo, branch, path, token, out) {
-  const url =
-    `https://api.github.com/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}?ref=${branch}`;
+const PREVIEW_PREFIX = "harmonizer:preview:";
+const PREVIEW_TTL_SECONDS = 7 * 24 * 3600;
 
-  const res = await fetch(url, {
-    headers: {
-      "Authorization": `Bearer ${token}`,
-      "Accept": "application/vnd.github+json"
-    }
+async function storePreview(env, preview) {
+  if (!env.ASA_STATE) {
+    console.warn("ASA_STATE KV binding missing – preview not stored");
+    return null;
+  }
+  const id = crypto.randomUUID();
+  const record = { id, createdAt: new Date().toISOString(), appliedAt: null, ...preview };
+  await env.ASA_STATE.put(PREVIEW_PREFIX + id, JSON.stringify(record), {
+    expirationTtl: PREVIEW_TTL_SECONDS
   });
+  return id;
+}
 
-  if (!res.ok) return;
+async function loadPreview(env, id) {
+  if (!env.ASA_STATE) throw new Error("Missing ASA_STATE KV binding");
+  return env.ASA_STATE.get(PREVIEW_PREFIX + id, "json");
+}
 
-  const data = await res.json();
+/**
+ * Commits exactly the files stored with a preview. If the base branch has
+ * moved since, the apply is refused when any touched path changed upstream;
+ * otherwise the stored files are committed on top of the new head.
+ * Concurrent applies of one preview go through PreviewApplyLock: only the
+ * claim holder opens a PR, the others get 409.
+ */
+async function applyStoredPreview(env, record, identity) {
+  if (!env.GITHUB_TOKEN) throw new Error("Missing GITHUB_TOKEN");
+
+  const id = record.id;
+  if (record.appliedAt) {
+    return json({ ok: false, error: "Preview already applied", prUrl: record.prUrl }, 409);
+  }
+  if (!record.files?.length) {
+    return json({ ok: false, error: "Preview has no effective changes" }, 400);
+  }
 
-  // Directory
-  if (Array.isArray(data)) {
-    for (const item of data) {
-      if (item.type === "dir") {
-        await crawlGitHubDir(owner, repo, branch, item.path, token, out);
-      } else if (item.type === "file") {
-        await pushFile(owner, repo, branch, item.path, token, out);
-      }
-    }
+  // KV may still show appliedAt: null to a concurrent apply – the claim decides
+  const lock = previewLock(env, id);
+  const claim = await lockCall(lock, "claim", { by: identity.id });
+  if (!claim.ok) {
+    return json({ ok: false, error: claim.error, prUrl: claim.prUrl || undefined }, 409);
   }
 
-  // Single file
-  if (data.type === "file") {
-    await pushFile(owner, repo, branch, data.path, token, out);
+  let prUrl = null;
+  try {
+    return await commitClaimedPreview(env, record, identity, result => {
+      prUrl = result.prUrl;
+      return lockCall(lock, "complete", { prUrl });
+    });
+  } finally {
+    if (!prUrl) await lockCall(lock, "release", {});
   }
 }
 
-async function pushFile(owner, repo, branch, path, token, out) {
-  const url =
-    `https://api.github.com/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}?ref=${branch}`;
+async function commitClaimedPreview(env, record, identity, onPrOpened) {
+  const id = record.id;
+  const gh = ghClient(env.GITHUB_TOKEN);
+  const repoApi = `https://api.github.com/repos/${record.owner}/${record.repo}`;
 
-  const res = await fetch(url, {
-    headers: {
-      "Authorization": `Bearer ${token}`,
-      "Accept": "application/vnd.github+json"
-    }
-  });
+  const headRef = await ghGet(gh, `${repoApi}/git/ref/heads/${record.baseBranch}`);
+  const headSha = headRef.object.sha;
 
-  if (!res.ok) return;
+  if (headSha !== record.baseSha) {
+    const compare = await ghGet(gh, `${repoApi}/compare/${record.baseSha}...${headSha}`);
+    const upstream = compare.files || [];
 
-  const meta = await res.json();
-
-  if (!meta.content) return;
-  if (meta.size > 120000) return; // skip huge files
+    // The compare API stops listing at 300 files – can't prove safety past that
+    if (upstream.length >= 300) {
+      return json({
+        ok: false,
+        error: "Base branch moved too far since preview; re-run the preview",
+        baseSha: record.baseSha,
+        headSha
+      }, 409);
+    }
 
-  const decoded = base64decode(meta.content);
-  out.push({ path, content: decoded.slice(0, 7000) });
-}
+    const changedUpstream = new Set(
+      upstream.flatMap(f => [f.filename, f.previous_filename].filter(Boolean))
+    );
+    const conflicts = record.files
+      .flatMap(f => [f.path, f.from].filter(Boolean))
+      .filter(p => changedUpstream.has(p));
 
-// ======================================================================
-// OPENAI HARMONIZER CALL
-// ======================================================================
+    if (conflicts.length) {
+      return json({
+        ok: false,
+        error: "Base branch moved and touched files changed since preview",
+        baseSha: record.baseSha,
+        headSha,
+        conflicts: [...new Set(conflicts)]
+      }, 409);
+    }
+  }
 
-async function callOpenAIHarmonizer(apiKey, payload) {
-  const { owner, repo, baseBranch, note, files } = payload;
+  const result = await openHarmonizerPr(gh, repoApi, {
+    baseSha: headSha,
+    baseBranch: record.baseBranch,
+    note: record.note,
+    summary: record.summary,
+    files: record.files,
+    callerLine: `Previewed by: \`${record.requestedBy || "unknown"}\` · Applied by: \`${identity.id}\``
+  });
+  await onPrOpened(result);
+
+  await env.ASA_STATE.put(
+    PREVIEW_PREFIX + id,
+    JSON.stringify({
+      ...record,
+      appliedAt: new Date().toISOString(),
+      appliedBy: identity.id,
+      prUrl: result.prUrl
+    }),
+    { expirationTtl: PREVIEW_TTL_SECONDS }
+  );
+
+  return json({
+    ok: true,
+    mode: "apply",
+    caller: identity.id,
+    previewId: id,
+    baseSha: record.baseSha,
+    headSha,
+    ...result
+  });
+}
 
-  const listText = files
-    .map(f => `--- FILE: ${f.path}\n${f.content}`)
-    .join("\n\n");
+// ----- PreviewApplyLock (Durable Object, one instance per preview id) -----
+//
+// Claim → PR → complete, strictly one at a time per preview. A claim whose
+// apply died without completing frees up after APPLY_CLAIM_STALE_MS.
 
-  const systemPrompt = `
-You are ASA HARMONIZER ENGINE.
-Unify, refactor, improve consistency without breaking code intent.
-Return JSON strictly like:
+const APPLY_CLAIM_STALE_MS = 15 * 60_000;
 
-{
-  "summary": "short summary",
-  "files": [
-    { "path": "...", "content": "...", "rationale": "..." }
-  ]
+function previewLock(env, previewId) {
+  if (!env.PREVIEW_LOCK) throw new Error("Missing PREVIEW_LOCK Durable Object binding");
+  return env.PREVIEW_LOCK.get(env.PREVIEW_LOCK.idFromName(previewId));
 }
-`;
-
-  const userPrompt = `
-Repo: ${owner}/${repo}
-Branch: ${baseBranch}
-Mission: ${note}
 
-Files:
-${listText}
-`;
-
-  const res = await fetch("https://api.openai.com/v1/chat/completions", {
+async function lockCall(lock, op, body) {
+  const res = await lock.fetch(`https://preview-lock/${op}`, {
     method: "POST",
-    headers: {
-      "Authorization": `Bearer ${apiKey}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model: "gpt-4.1-mini",
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ]
-    })
+    body: JSON.stringify(body)
   });
+  return res.json();
+}
 
-  if (!res.ok) {
-    const t = await res.text();
-    throw new Error(`OpenAI Error: ${res.status} ${t}`);
+export class PreviewApplyLock {
+  constructor(state) {
+    this.state = state;
   }
 
-  const json = await res.json();
-  return JSON.parse(json.choices[0].message.content);
+  async fetch(request) {
+    const op = new URL(request.url).pathname.slice(1);
+    const body = await request.json().catch(() => ({}));
+    const claim = await this.state.storage.get("claim");
+
+    if (op === "claim") {
+      if (claim?.prUrl) {
+        return Response.json({ ok: false, error: "Preview already applied", prUrl: claim.prUrl }, { status: 409 });
+      }
+      if (claim && Date.now() - claim.at < APPLY_CLAIM_STALE_MS) {
+        return Response.json({ ok: false, error: `Preview is being applied by ${claim.by}` }, { status: 409 });
+      }
+      await this.state.storage.put("claim", { by: body.by || "unknown", at: Date.now() });
+      return Response.json({ ok: true });
+    }
+    if (op === "complete") {
+      await this.state.storage.put("claim", { ...claim, prUrl: body.prUrl });
+      return Response.json({ ok: true });
+    }
+    if (op === "release") {
+      if (!claim?.prUrl) await this.state.storage.delete("claim");
+      return Response.json({ ok: true });
+    }
+    return Response.json({ ok: false, error: "Not found" }, { status: 404 });
+  }
 }
 
 // ======================================================================
 // HELPERS
 // ======================================================================
 
-function base64encode(str) {
-  return btoa(unescape(encodeURIComponent(str)));
-}
-function base64decode(str) {
-  return decodeURIComponent(escape(atob(str)));
-}
 function json(obj, status = 200) {
   return new Response(JSON.stringify(obj, null, 2), {
     status,
     headers: { "Content-Type": "application/json" }
   });
 }
+
+// ======================================================================
+// REVIEW UI (triple black + dark turquoise + cyan green)
+// ======================================================================
+
+function renderUiHtml() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>ASA HARMONIZER – Review</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    :root {
+      --asa-black: #02040a;
+      --asa-black-soft: #050814;
+      --asa-turquoise: #00c7c0;
+      --asa-cyan-green: #00ff9f;
+      --asa-red: #ff4b81;
+    }
+
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+
+    body {
+      min-height: 100vh;
+      font-family: system-ui, -apple-system, "Inter", sans-serif;
+      background: radial-gradient(circle at 10% 0%, #02101a 0, #02040a 45%, #000 100%);
+      color: #e9fefc;
+      padding: 20px;
+    }
+
+    .card {
+      max-width: 980px;
+      margin: 0 auto 16px;
+      background: linear-gradient(145deg, rgba(2,4,10,0.9), rgba(5,8,20,0.96));
+      border-radius: 18px;
+      padding: 18px;
+      box-shadow: 0 0 0 1px rgba(0, 199, 192, 0.28), 0 0 40px rgba(0, 199, 192, 0.18);
+    }
+
+    h1 { font-size: 14px; letter-spacing: 0.16em; text-transform: uppercase; margin-bottom: 12px; }
+
+    textarea, input {
+      width: 100%;
+      min-height: 56px;
+      margin-bottom: 10px;
+      border-radius: 12px;
+      border: 1px solid rgba(0, 199, 192, 0.3);
+      background: var(--asa-black);
+      color: #e9fefc;
+      padding: 8px 10px;
+      font-size: 13px;
+    }
+
+    .row { display: flex; gap: 8px; }
+
+    button {
+      flex: 1;
+      border: none;
+      border-radius: 999px;
+      padding: 9px 14px;
+      font-weight: 600;
+      letter-spacing: 0.12em;
+      text-transform: uppercase;
+      background: radial-gradient(circle at 0 0, #00ff9f, #00c7c0 60%, #008b7f 100%);
+      color: var(--asa-black);
+      cursor: pointer;
+    }
+    button:disabled { opacity: 0.5; cursor: wait; }
+
+    .meta { font-size: 12px; color: rgba(199, 245, 238, 0.75); margin-top: 10px; }
+
+    .file { margin-top: 14px; border: 1px solid rgba(0, 199, 192, 0.24); border-radius: 12px; overflow: hidden; }
+    .file-head {
+      display: flex;
+      justify-content: space-between;
+      padding: 8px 12px;
+      font-size: 12px;
+      background: var(--asa-black-soft);
+    }
+    .badge { padding: 1px 8px; border-radius: 999px; border: 1px solid rgba(0, 199, 192, 0.4); font-size: 10px; text-transform: uppercase; }
+    .badge.noop { opacity: 0.5; }
+    .add { color: var(--asa-cyan-green); }
+    .del { color: var(--asa-red); }
+
+    pre {
+      margin: 0;
+      padding: 8px 12px;
+      font-size: 12px;
+      line-height: 1.45;
+      overflow-x: auto;
+      background: var(--asa-black);
+    }
+    pre .hunk { color: var(--asa-turquoise); }
+    .rationale { padding: 6px 12px; font-size: 12px; color: rgba(199, 245, 238, 0.7); }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>ASA Harmonizer · Review</h1>
+    <input id="apiKey" type="password" placeholder="ASA API key (stored in this browser only)" />
+    <textarea id="paths" placeholder="apps/**, packages/** or specific paths (empty = DEFAULT_PATHS)"></textarea>
+    <textarea id="exclude" placeholder="Exclude globs, e.g. **/*.test.ts, !apps/keep/**"></textarea>
+    <textarea id="note" placeholder="Mission / note for the harmonizer"></textarea>
+    <div class="row">
+      <button id="previewBtn">Preview diffs</button>
+      <button id="applyBtn">Apply reviewed + PR</button>
+    </div>
+    <div class="meta" id="status">Idle</div>
+  </div>
+
+  <div class="card" id="result" style="display:none;"></div>
+
+  <script>
+    const $ = (id) => document.getElementById(id);
+    let lastPreviewId = null;
+
+    $("apiKey").value = localStorage.getItem("asaApiKey") || "";
+    $("apiKey").addEventListener("change", () => localStorage.setItem("asaApiKey", $("apiKey").value.trim()));
+
+    function authHeaders(extra) {
+      return { ...extra, Authorization: "Bearer " + $("apiKey").value.trim() };
+    }
+
+    function esc(s) {
+      return String(s).replace(/[&<>"']/g, (c) => ({
+        "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+      }[c]));
+    }
+
+    function renderDiff(diff) {
+      return diff.split("\\n").map((line) => {
+        const cls = line.startsWith("@@") ? "hunk"
+          : line.startsWith("+") ? "add"
+          : line.startsWith("-") ? "del" : "";
+        return "<span class='" + cls + "'>" + esc(line) + "</span>";
+      }).join("\\n");
+    }
+
+    function renderPreview(json) {
+      const s = json.stats;
+      let html = "<div class='meta'>" + esc(json.summary || "") + "</div>";
+      html += "<div class='meta'>" + s.changed + " changed · " + s.noop + " no-op · "
+        + "<span class='add'>+" + s.added + "</span> <span class='del'>-" + s.removed + "</span>"
+        + " · passes: " + json.passes + "</div>";
+
+      for (const f of json.files) {
+        html += "<div class='file'><div class='file-head'><span>"
+          + esc(f.from ? f.from + " → " + f.path : f.path) + "</span><span>"
+          + "<span class='badge" + (f.noop ? " noop" : "") + "'>" + (f.noop ? "no-op" : esc(f.action)) + "</span> "
+          + "<span class='add'>+" + f.added + "</span> <span class='del'>-" + f.removed + "</span>"
+          + "</span></div>";
+        if (f.rationale) html += "<div class='rationale'>" + esc(f.rationale) + "</div>";
+        if (f.diff) html += "<pre>" + renderDiff(f.diff) + "</pre>";
+        html += "</div>";
+      }
+
+      for (const sk of json.skipped || []) {
+        html += "<div class='meta'>Skipped " + esc(sk.path) + ": " + esc(sk.reason) + "</div>";
+      }
+      return html;
+    }
+
+    async function run(apply) {
+      $("previewBtn").disabled = $("applyBtn").disabled = true;
+      $("status").textContent = apply ? "Applying…" : "Harmonizing…";
+
+      try {
+        const paths = $("paths").value.split(",").map((p) => p.trim()).filter(Boolean);
+        const exclude = $("exclude").value.split(",").map((p) => p.trim()).filter(Boolean);
+        // Apply commits the reviewed preview when there is one, not a fresh LLM run
+        const res = apply && lastPreviewId
+          ? await fetch("/harmonize/" + lastPreviewId + "/apply", { method: "POST", headers: authHeaders() })
+          : await fetch("/harmonize", {
+              method: "POST",
+              headers: authHeaders({ "Content-Type": "application/json" }),
+              body: JSON.stringify({ paths, exclude, apply, note: $("note").value.trim() || undefined })
+            });
+        const json = await res.json();
+        const box = $("result");
+        box.style.display = "block";
+
+        if (!json.ok) {
+          $("status").textContent = "Error";
+          box.innerHTML = "<pre class='del'>" + esc(json.error || JSON.stringify(json, null, 2)) + "</pre>";
+        } else if (json.mode === "preview") {
+          lastPreviewId = json.previewId;
+          $("status").textContent = "Preview ready" + (json.previewId ? " · " + json.previewId : "");
+          box.innerHTML = renderPreview(json);
+        } else {
+          lastPreviewId = null;
+          $("status").textContent = "PR #" + json.prNumber;
+          box.innerHTML = "<div class='meta'>PR: <a class='add' target='_blank' href='" + esc(json.prUrl) + "'>"
+            + esc(json.prUrl) + "</a></div>";
+        }
+      } catch (err) {
+        $("status").textContent = "Exception: " + err;
+      } finally {
+        $("previewBtn").disabled = $("applyBtn").disabled = false;
+      }
+    }
+
+    // Editing the request invalidates the reviewed preview
+    $("paths").addEventListener("input", () => { lastPreviewId = null; });
+    $("exclude").addEventListener("input", () => { lastPreviewId = null; });
+    $("note").addEventListener("input", () => { lastPreviewId = null; });
+
+    $("previewBtn").addEventListener("click", () => run(false));
+    $("applyBtn").addEventListener("click", () => run(true));
+  </script>
+</body>
+</html>`;
+}
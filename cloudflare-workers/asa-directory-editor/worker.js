@@ -4,6 +4,9 @@
 // - ASA MATRIX mini UI (triple black + dark turquoise + cyan green)
 // - /api/harmonize -> GitHub PR generálás
 
+import { createGitHubClient, GitHubError } from "../shared/github.js";
+import { authenticate, authorize, AuthError } from "../shared/auth.js";
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -23,7 +26,28 @@ export default {
     // API: harmonizálás + PR
     if (path === "/api/harmonize" && request.method === "POST") {
       try {
-        const body = await request.json().catch(() => ({}));
+        const bodyText = await request.text();
+
+        // Csak hitelesített, apply jogú kulccsal nyitható PR
+        try {
+          const identity = await authenticate(request, env, bodyText);
+          authorize(identity, {
+            owner: env.GITHUB_OWNER,
+            repo: env.GITHUB_REPO,
+            action: "apply",
+          });
+        } catch (err) {
+          if (!(err instanceof AuthError)) throw err;
+          return new Response(
+            JSON.stringify({ ok: false, step: "auth", error: err.message }),
+            { status: err.status, headers: { "Content-Type": "application/json" } }
+          );
+        }
+
+        let body = {};
+        try {
+          body = JSON.parse(bodyText || "{}");
+        } catch (_) {}
 
         const title =
           body.title || "ASA CODE-HARMONIZER – automatic harmonization";
@@ -49,55 +73,27 @@ export default {
           );
         }
 
-        // 1) Base branch SHA lekérése
-        const baseRefResp = await fetch(
-          `https://api.github.com/repos/${owner}/${repo}/git/ref/heads/${baseBranch}`,
-          {
-            headers: githubHeaders(token),
-          }
-        );
+        const gh = createGitHubClient({ token, owner, repo, userAgent: "ASA-CODE-HARMONIZER" });
+        const repoPath = `/repos/${owner}/${repo}`;
 
-        if (!baseRefResp.ok) {
-          const txt = await baseRefResp.text();
-          return new Response(
-            JSON.stringify({
-              ok: false,
-              step: "get_base_ref",
-              status: baseRefResp.status,
-              body: txt,
-            }),
-            { status: 500, headers: { "Content-Type": "application/json" } }
-          );
+        // 1) Base branch SHA lekérése
+        let baseSha;
+        try {
+          const baseRef = await gh.request("GET", `${repoPath}/git/ref/heads/${baseBranch}`);
+          baseSha = baseRef.object.sha;
+        } catch (err) {
+          return stepFailure("get_base_ref", err);
         }
 
-        const baseRef = await baseRefResp.json();
-        const baseSha = baseRef.object.sha;
-
         // 2) Új branch létrehozása
         const branchName = `asa-harmonizer-${Date.now()}`;
-        const createRefResp = await fetch(
-          `https://api.github.com/repos/${owner}/${repo}/git/refs`,
-          {
-            method: "POST",
-            headers: githubHeaders(token),
-            body: JSON.stringify({
-              ref: `refs/heads/${branchName}`,
-              sha: baseSha,
-            }),
-          }
-        );
-
-        if (!createRefResp.ok) {
-          const txt = await createRefResp.text();
-          return new Response(
-            JSON.stringify({
-              ok: false,
-              step: "create_ref",
-              status: createRefResp.status,
-              body: txt,
-            }),
-            { status: 500, headers: { "Content-Type": "application/json" } }
-          );
+        try {
+          await gh.request("POST", `${repoPath}/git/refs`, {
+            ref: `refs/heads/${branchName}`,
+            sha: baseSha,
+          });
+        } catch (err) {
+          return stepFailure("create_ref", err);
         }
 
         // 3) Egy "touchpoint" file commit – ide írjuk a harmonizáció meta infóit
@@ -118,68 +114,30 @@ export default {
           description,
         ].join("\n");
 
-        const contentBase64 = toBase64(markdownContent);
-
-        const putFileResp = await fetch(
-          `https://api.github.com/repos/${owner}/${repo}/contents/${encodeURIComponent(
-            filePath
-          )}`,
-          {
-            method: "PUT",
-            headers: githubHeaders(token),
-            body: JSON.stringify({
-              message: `ASA CODE-HARMONIZER touchpoint for ${branchName}`,
-              content: contentBase64,
-              branch: branchName,
-            }),
-          }
-        );
-
-        if (!putFileResp.ok) {
-          const txt = await putFileResp.text();
-          return new Response(
-            JSON.stringify({
-              ok: false,
-              step: "create_file",
-              status: putFileResp.status,
-              body: txt,
-            }),
-            { status: 500, headers: { "Content-Type": "application/json" } }
-          );
+        try {
+          // UTF-8 kódolás + sha-ütközés esetén újrapróbálás: shared client
+          await gh.putFile(filePath, markdownContent, `ASA CODE-HARMONIZER touchpoint for ${branchName}`, {
+            branch: branchName,
+          });
+        } catch (err) {
+          return stepFailure("create_file", err);
         }
 
         // 4) PR létrehozása
-        const prResp = await fetch(
-          `https://api.github.com/repos/${owner}/${repo}/pulls`,
-          {
-            method: "POST",
-            headers: githubHeaders(token),
-            body: JSON.stringify({
-              title,
-              head: branchName,
-              base: baseBranch,
-              body:
-                description +
-                "\n\n> Automatically generated by ASA CODE-HARMONIZER Worker.\n",
-            }),
-          }
-        );
-
-        if (!prResp.ok) {
-          const txt = await prResp.text();
-          return new Response(
-            JSON.stringify({
-              ok: false,
-              step: "create_pr",
-              status: prResp.status,
-              body: txt,
-            }),
-            { status: 500, headers: { "Content-Type": "application/json" } }
-          );
+        let prJson;
+        try {
+          prJson = await gh.request("POST", `${repoPath}/pulls`, {
+            title,
+            head: branchName,
+            base: baseBranch,
+            body:
+              description +
+              "\n\n> Automatically generated by ASA CODE-HARMONIZER Worker.\n",
+          });
+        } catch (err) {
+          return stepFailure("create_pr", err);
         }
 
-        const prJson = await prResp.json();
-
         return new Response(
           JSON.stringify({
             ok: true,
@@ -215,18 +173,17 @@ export default {
 
 // ---- Helpers ----
 
-function githubHeaders(token) {
-  return {
-    Authorization: `Bearer ${token}`,
-    Accept: "application/vnd.github+json",
-    "X-GitHub-Api-Version": "2022-11-28",
-    "User-Agent": "ASA-CODE-HARMONIZER",
-  };
-}
-
-function toBase64(str) {
-  // CF Worker környezetben btoa elérhető
-  return btoa(unescape(encodeURIComponent(str)));
+// Same failure shape as before the shared client: { ok, step, status, body }
+function stepFailure(step, err) {
+  return new Response(
+    JSON.stringify({
+      ok: false,
+      step,
+      status: err instanceof GitHubError ? err.status : 0,
+      body: err instanceof GitHubError ? err.body : String(err),
+    }),
+    { status: 500, headers: { "Content-Type": "application/json" } }
+  );
 }
 
 // Triple black + dark turquoise + cyan green, vortex animációs háttér
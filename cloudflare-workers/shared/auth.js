@@ -0,0 +1,227 @@
+// ======================================================================
+// ASA SHARED – API KEY / HMAC AUTH FOR THE HARMONIZER WORKERS
+// + password hashes and signed session tokens (Multi-Sync UI login)
+// ======================================================================
+//
+// Keys live in the ASA_API_KEYS secret (JSON array):
+//
+//   [
+//     { "id": "matrix-ui", "keyHash": "<sha256 hex of the bearer key>",
+//       "repos": ["kbence2000/ASA_FULL"], "scope": "apply" },
+//     { "id": "ci-bot", "secret": "<hmac secret>",
+//       "repos": ["kbence2000/*"], "scope": "preview" }
+//   ]
+//
+// Bearer:  Authorization: Bearer <key>          (matched by keyHash or key)
+// HMAC:    X-ASA-Key-Id: <id>
+//          X-ASA-Timestamp: <unix seconds>
+//          X-ASA-Signature: hex(HMAC-SHA256(secret, ts \n METHOD \n path \n sha256hex(body)))
+//
+// scope "preview" → read-only runs, "apply" → may also commit / open PRs.
+// No ASA_API_KEYS → every request is refused (fail closed).
+//
+// Sessions: token = base64url(JSON claims) "." base64url(HMAC-SHA256(secret, claims)),
+// claims { sub, role, iat, exp } (seconds). Passwords are stored as
+// "pbkdf2$<iterations>$<salt b64>$<hash b64>" (PBKDF2-SHA256), see hashPassword.
+
+import { bytesToBase64, base64ToBytes } from "./zip.js";
+
+const MAX_CLOCK_SKEW_SECONDS = 300;
+const SCOPE_RANK = { preview: 1, apply: 2 };
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+function loadKeys(env) {
+  if (!env.ASA_API_KEYS) throw new AuthError("API keys not configured on this worker", 503);
+  try {
+    const keys = typeof env.ASA_API_KEYS === "string" ? JSON.parse(env.ASA_API_KEYS) : env.ASA_API_KEYS;
+    return Array.isArray(keys) ? keys : [];
+  } catch (_) {
+    throw new AuthError("ASA_API_KEYS is not valid JSON", 503);
+  }
+}
+
+/**
+ * Verifies the caller. `bodyText` must be the raw request body (the HMAC
+ * signature covers it). Returns { id, scope, repos, method }.
+ */
+export async function authenticate(req, env, bodyText = "") {
+  const keys = loadKeys(env);
+  const auth = req.headers.get("Authorization") || "";
+
+  if (auth.startsWith("Bearer ")) {
+    const presented = auth.slice(7).trim();
+    const presentedHash = await sha256Hex(presented);
+    for (const k of keys) {
+      const expected = k.keyHash || (k.key ? await sha256Hex(k.key) : null);
+      if (expected && timingSafeEqual(expected.toLowerCase(), presentedHash)) {
+        return identityOf(k, "bearer");
+      }
+    }
+    throw new AuthError("Invalid API key");
+  }
+
+  const keyId = req.headers.get("X-ASA-Key-Id");
+  if (keyId) {
+    const k = keys.find(x => x.id === keyId && x.secret);
+    const ts = Number(req.headers.get("X-ASA-Timestamp"));
+    const signature = (req.headers.get("X-ASA-Signature") || "").toLowerCase();
+    if (!k || !signature) throw new AuthError("Invalid signature");
+    if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > MAX_CLOCK_SKEW_SECONDS) {
+      throw new AuthError("Signature timestamp outside allowed window");
+    }
+
+    const url = new URL(req.url);
+    const payload = `${ts}\n${req.method}\n${url.pathname}\n${await sha256Hex(bodyText)}`;
+    const expected = await hmacHex(k.secret, payload);
+    if (!timingSafeEqual(expected, signature)) throw new AuthError("Invalid signature");
+    return identityOf(k, "hmac");
+  }
+
+  throw new AuthError("Missing credentials (Bearer key or X-ASA-* signature)");
+}
+
+/**
+ * Throws AuthError(403) unless `identity` may run `action`
+ * ("preview" | "apply") against owner/repo.
+ */
+export function authorize(identity, { owner, repo, action }) {
+  if ((SCOPE_RANK[identity.scope] || 0) < SCOPE_RANK[action]) {
+    throw new AuthError(`Key "${identity.id}" is not allowed to ${action}`, 403);
+  }
+  const full = `${owner}/${repo}`.toLowerCase();
+  const allowed = identity.repos.some(pattern => {
+    const p = pattern.toLowerCase();
+    return p === "*" || p === full || (p.endsWith("/*") && full.startsWith(p.slice(0, -1)));
+  });
+  if (!allowed) throw new AuthError(`Key "${identity.id}" has no access to ${owner}/${repo}`, 403);
+}
+
+function identityOf(k, method) {
+  return {
+    id: String(k.id),
+    scope: SCOPE_RANK[k.scope] ? k.scope : "preview",
+    repos: Array.isArray(k.repos) ? k.repos : [],
+    method
+  };
+}
+
+// ======================================================================
+// PASSWORDS + SESSION TOKENS
+// ======================================================================
+
+const PBKDF2_ITERATIONS = 100_000; // Workers' Web Crypto caps PBKDF2 at 100k
+const PASSWORD_HASH_BYTES = 32;
+
+export async function hashPassword(password, { iterations = PBKDF2_ITERATIONS } = {}) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, iterations);
+  return `pbkdf2$${iterations}$${bytesToBase64(salt)}$${bytesToBase64(hash)}`;
+}
+
+// false for anything that is not a well-formed pbkdf2$… string
+export async function verifyPassword(password, stored) {
+  const [scheme, iterations, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "pbkdf2" || !Number(iterations) || !salt || !hash) return false;
+  try {
+    const actual = await pbkdf2(String(password ?? ""), base64ToBytes(salt), Number(iterations));
+    return timingSafeEqual(bytesToBase64(actual), hash);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Signs `claims` (e.g. { sub, role }) for `ttlSeconds`.
+ * Returns { token, expiresAt } – expiresAt as ISO string.
+ */
+export async function createSessionToken(secret, claims, ttlSeconds) {
+  if (!secret) throw new AuthError("Session secret not configured on this worker", 503);
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = toBase64Url(encoder.encode(JSON.stringify({ ...claims, iat, exp: iat + ttlSeconds })));
+  const signature = toBase64Url(await hmacBytes(secret, payload));
+  return { token: `${payload}.${signature}`, expiresAt: new Date((iat + ttlSeconds) * 1000).toISOString() };
+}
+
+/**
+ * Returns the claims of a valid, unexpired token; throws AuthError(401)
+ * otherwise.
+ */
+export async function verifySessionToken(secret, token) {
+  if (!secret) throw new AuthError("Session secret not configured on this worker", 503);
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!payload || !signature || extra !== undefined) throw new AuthError("Invalid session");
+
+  const expected = toBase64Url(await hmacBytes(secret, payload));
+  if (!timingSafeEqual(expected, signature)) throw new AuthError("Invalid session");
+
+  let claims;
+  try {
+    claims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+  } catch (_) {
+    throw new AuthError("Invalid session");
+  }
+  if (!Number.isFinite(claims?.exp) || claims.exp <= Date.now() / 1000) throw new AuthError("Session expired");
+  return claims;
+}
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey("raw", encoder.encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    key,
+    PASSWORD_HASH_BYTES * 8
+  );
+  return new Uint8Array(bits);
+}
+
+// ======================================================================
+// CRYPTO HELPERS (Web Crypto)
+// ======================================================================
+
+const encoder = new TextEncoder();
+
+function toHex(buf) {
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest("SHA-256", encoder.encode(text)));
+}
+
+export async function hmacHex(secret, text) {
+  return toHex(await hmacBytes(secret, text));
+}
+
+async function hmacBytes(secret, text) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, encoder.encode(text)));
+}
+
+function toBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  return base64ToBytes(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
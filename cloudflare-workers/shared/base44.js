@@ -0,0 +1,248 @@
+// ======================================================================
+// ASA SHARED – BASE44 BRIDGE (import / export / health)
+// + local Base44 stand-in for running the sync pipeline without Base44
+// ======================================================================
+//
+// Env:
+//   BASE44_API_URL   https://… of the Base44 project API,
+//                    or "local://base44" → in-worker stand-in (no network)
+//   BASE44_API_KEY   bearer key (not needed for the stand-in)
+//   ASA_STATE        optional KV; the stand-in keeps its project there so it
+//                    survives isolate restarts (otherwise: isolate memory)
+//
+// Wire format (same for the real API and the stand-in):
+//   POST /import   application/octet-stream → ZIP
+//                  application/json         → { commit, files: [{ path, content, encoding? }] }
+//   GET  /export   → { version, commit, files: [{ path, content, encoding? }] }
+//                    or a ZIP (application/zip, version in x-base44-version)
+//   encoding: "base64" marks a binary file, see zip.js
+//   GET  /health   → { ok, status }
+//   GET  /entities/<Name>   → [record…]   (e.g. SyncConfig)
+//   PUT  /entities/<Name>/<id>  { field: value… } → the updated record
+//   PUT  /entities/<Name>   [record…]     (stand-in only: seed records)
+
+import { unzipToFileMap } from "./zip.js";
+
+const LOCAL_PREFIX = "local://";
+const LOCAL_PROJECT_KEY = "base44:local:project";
+const LOCAL_ENTITY_PREFIX = "base44:local:entities:";
+
+export function isLocalBase44(env) {
+  return String(env.BASE44_API_URL || "").startsWith(LOCAL_PREFIX);
+}
+
+/**
+ * Imports source into Base44. `source` is a ZIP (ArrayBuffer / Uint8Array,
+ * or a ReadableStream straight from createZipStream) or a raw file map
+ * { commit, files: [{ path, content, encoding? }] }.
+ *
+ * Returns { ok, status, body } – never throws for HTTP errors.
+ */
+export async function base44RefinedSync(env, source) {
+  const isStream = source instanceof ReadableStream;
+  const isZip = isStream || source instanceof ArrayBuffer || ArrayBuffer.isView(source);
+  const res = await base44Fetch(env, "/import", {
+    method: "POST",
+    headers: { "content-type": isZip ? "application/octet-stream" : "application/json" },
+    body: isZip ? source : JSON.stringify(source),
+    ...(isStream ? { duplex: "half" } : {})
+  });
+  return readResult(res);
+}
+
+/**
+ * Downloads the current Base44 source as { version, commit, files }.
+ * Throws when Base44 is unreachable or answers with an error.
+ */
+export async function base44Export(env) {
+  const res = await base44Fetch(env, "/export", {
+    method: "GET",
+    headers: { accept: "application/json, application/zip" }
+  });
+  if (res.ok && /zip|octet-stream/.test(res.headers.get("content-type") || "")) {
+    const version = res.headers.get("x-base44-version");
+    return {
+      version: version == null ? null : Number(version),
+      commit: res.headers.get("x-base44-commit"),
+      files: await unzipToFileMap(await res.arrayBuffer())
+    };
+  }
+
+  const result = await readResult(res);
+  if (!result.ok) {
+    throw new Error(`Base44 export failed: ${result.status} ${JSON.stringify(result.body).slice(0, 300)}`);
+  }
+  if (!Array.isArray(result.body?.files)) {
+    throw new Error("Base44 export returned no file list");
+  }
+  return result.body;
+}
+
+/**
+ * Lists the records of a Base44 entity (e.g. "SyncConfig").
+ * Accepts a bare array or { items } / { data } from the API.
+ */
+export async function base44ListEntities(env, entity) {
+  const res = await base44Fetch(env, `/entities/${encodeURIComponent(entity)}`, { method: "GET" });
+  const result = await readResult(res);
+  if (!result.ok) {
+    throw new Error(`Base44 ${entity} fetch failed: ${result.status} ${JSON.stringify(result.body).slice(0, 300)}`);
+  }
+  const body = result.body;
+  const records = Array.isArray(body) ? body : body?.items || body?.data;
+  if (!Array.isArray(records)) throw new Error(`Base44 ${entity} returned no record list`);
+  return records;
+}
+
+/**
+ * Updates the given fields of one Base44 entity record; other fields are
+ * left alone. Returns the updated record. Throws on an HTTP error.
+ */
+export async function base44UpdateEntity(env, entity, id, patch) {
+  const res = await base44Fetch(env, `/entities/${encodeURIComponent(entity)}/${encodeURIComponent(id)}`, {
+    method: "PUT",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(patch)
+  });
+  const result = await readResult(res);
+  if (!result.ok) {
+    throw new Error(`Base44 ${entity} ${id} update failed: ${result.status} ${JSON.stringify(result.body).slice(0, 300)}`);
+  }
+  return result.body;
+}
+
+export async function base44Health(env) {
+  try {
+    return await readResult(await base44Fetch(env, "/health", { method: "GET" }));
+  } catch (e) {
+    return { ok: false, status: 0, body: { error: String(e?.message || e) } };
+  }
+}
+
+async function base44Fetch(env, path, init) {
+  if (!env.BASE44_API_URL) throw new Error("BASE44_API_URL is not configured");
+  if (isLocalBase44(env)) return localBase44(env, path, init);
+
+  return fetch(`${env.BASE44_API_URL.replace(/\/+$/, "")}${path}`, {
+    ...init,
+    headers: {
+      ...init.headers,
+      Authorization: `Bearer ${env.BASE44_API_KEY}`
+    }
+  });
+}
+
+async function readResult(res) {
+  const text = await res.text().catch(() => "");
+  let parsed = null;
+  try { parsed = JSON.parse(text); } catch (_) { parsed = { raw: text }; }
+  return { ok: res.ok, status: res.status, body: parsed };
+}
+
+// ======================================================================
+// LOCAL STAND-IN
+// ======================================================================
+
+const memoryStore = new Map(); // used when no ASA_STATE KV is bound
+
+async function loadLocal(env, key) {
+  if (env.ASA_STATE) {
+    const raw = await env.ASA_STATE.get(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+  return memoryStore.get(key) ?? null;
+}
+
+async function saveLocal(env, key, value) {
+  if (env.ASA_STATE) await env.ASA_STATE.put(key, JSON.stringify(value));
+  else memoryStore.set(key, value);
+}
+
+/**
+ * Answers the Base44 wire format from KV / memory, as a real Response,
+ * so every caller goes through exactly the same parsing as in production.
+ */
+async function localBase44(env, path, init) {
+  const method = (init.method || "GET").toUpperCase();
+
+  if (path === "/health" && method === "GET") {
+    return Response.json({ ok: true, status: "healthy", stub: true });
+  }
+
+  if (path === "/export" && method === "GET") {
+    const project = (await loadLocal(env, LOCAL_PROJECT_KEY)) || { version: 0, commit: null, files: [] };
+    return Response.json(project);
+  }
+
+  if (path === "/import" && method === "POST") {
+    const type = init.headers?.["content-type"] || "";
+    let payload;
+    if (type.includes("application/octet-stream") || type.includes("application/zip")) {
+      try {
+        payload = { files: await unzipToFileMap(await new Response(init.body).arrayBuffer()) };
+      } catch (e) {
+        return Response.json({ error: `invalid ZIP: ${e.message}` }, { status: 422 });
+      }
+    } else if (type.includes("application/json")) {
+      try {
+        payload = JSON.parse(init.body);
+      } catch (_) {
+        return Response.json({ error: "invalid JSON body" }, { status: 400 });
+      }
+    } else {
+      return Response.json({ error: "expected a ZIP or a JSON file map" }, { status: 415 });
+    }
+    if (!Array.isArray(payload.files) || payload.files.some(f => typeof f?.path !== "string" || typeof f?.content !== "string")) {
+      return Response.json({ error: "files must be [{ path, content }]" }, { status: 422 });
+    }
+
+    const previous = await loadLocal(env, LOCAL_PROJECT_KEY);
+    const project = {
+      version: (previous?.version || 0) + 1,
+      commit: payload.commit || null,
+      importedAt: new Date().toISOString(),
+      files: payload.files.map(f => ({ path: f.path, content: f.content, ...(f.encoding ? { encoding: f.encoding } : {}) }))
+    };
+    await saveLocal(env, LOCAL_PROJECT_KEY, project);
+    return Response.json({ ok: true, version: project.version, imported: project.files.length, stub: true });
+  }
+
+  const entity = path.match(/^\/entities\/([^/]+)$/);
+  if (entity && method === "GET") {
+    return Response.json((await loadLocal(env, LOCAL_ENTITY_PREFIX + entity[1])) || []);
+  }
+  if (entity && method === "PUT") {
+    let records;
+    try {
+      records = JSON.parse(init.body);
+    } catch (_) {
+      return Response.json({ error: "invalid JSON body" }, { status: 400 });
+    }
+    if (!Array.isArray(records)) return Response.json({ error: "expected an array of records" }, { status: 422 });
+    await saveLocal(env, LOCAL_ENTITY_PREFIX + entity[1], records);
+    return Response.json({ ok: true, count: records.length, stub: true });
+  }
+
+  const record = path.match(/^\/entities\/([^/]+)\/([^/]+)$/);
+  if (record && method === "PUT") {
+    let patch;
+    try {
+      patch = JSON.parse(init.body);
+    } catch (_) {
+      return Response.json({ error: "invalid JSON body" }, { status: 400 });
+    }
+    if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+      return Response.json({ error: "expected an object of fields" }, { status: 422 });
+    }
+    const key = LOCAL_ENTITY_PREFIX + record[1];
+    const records = (await loadLocal(env, key)) || [];
+    const id = decodeURIComponent(record[2]);
+    const index = records.findIndex(r => String(r?.id) === id);
+    if (index === -1) return Response.json({ error: `${record[1]} ${id} not found` }, { status: 404 });
+    records[index] = { ...records[index], ...patch, id: records[index].id };
+    await saveLocal(env, key, records);
+    return Response.json(records[index]);
+  }
+
+  return Response.json({ error: `local Base44 stand-in: no route ${method} ${path}` }, { status: 404 });
+}
@@ -0,0 +1,309 @@
+// ======================================================================
+// ASA SHARED – LINE DIFF (Myers) + UNIFIED DIFF + THREE-WAY MERGE
+// Plain ES module, no dependencies – imported by the ASA workers
+// ======================================================================
+
+/**
+ * Splits text into lines without the trailing newline characters.
+ * An empty string is zero lines, not one empty line.
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+// Appended to a last line that has no trailing "\n", so that adding or
+// dropping the final newline shows up as a change (like git does)
+const NO_EOL = "\u0000<no-eol>";
+
+function markMissingEol(text) {
+  const lines = splitLines(text);
+  if (text && !text.endsWith("\n")) lines[lines.length - 1] += NO_EOL;
+  return lines;
+}
+
+/**
+ * Myers O(ND) diff over two line arrays, linear-space variant: each step
+ * finds the middle snake of the remaining box and recurses on both halves,
+ * so memory stays O(N+M) however different the inputs are.
+ * Returns [{ type: "equal" | "del" | "add", line }] in document order.
+ */
+export function diffLines(a, b) {
+  const ops = [];
+  diffBox(a, b, 0, 0, a.length, b.length, ops);
+  return ops;
+}
+
+function diffBox(a, b, left, top, right, bottom, ops) {
+  // Common prefix / suffix never need the search
+  while (left < right && top < bottom && a[left] === b[top]) {
+    ops.push({ type: "equal", line: a[left] });
+    left++;
+    top++;
+  }
+  let tail = 0;
+  while (left < right - tail && top < bottom - tail && a[right - tail - 1] === b[bottom - tail - 1]) tail++;
+  right -= tail;
+  bottom -= tail;
+
+  if (left === right) {
+    for (let y = top; y < bottom; y++) ops.push({ type: "add", line: b[y] });
+  } else if (top === bottom) {
+    for (let x = left; x < right; x++) ops.push({ type: "del", line: a[x] });
+  } else {
+    const snake = middleSnake(a, b, left, top, right, bottom);
+    const [x1, y1, x2, y2] = snake;
+    diffBox(a, b, left, top, x1, y1, ops);
+    walkSnake(a, b, snake, ops);
+    diffBox(a, b, x2, y2, right, bottom, ops);
+  }
+
+  for (let i = right; i < right + tail; i++) ops.push({ type: "equal", line: a[i] });
+}
+
+/**
+ * Runs the forward and backward searches until they overlap. Returns the
+ * overlapping move as [x1, y1, x2, y2, editFirst]: at most one edit plus a
+ * diagonal – edit first when found forwards, last when found backwards.
+ */
+function middleSnake(a, b, left, top, right, bottom) {
+  const n = right - left;
+  const m = bottom - top;
+  const delta = n - m;
+  const odd = delta % 2 !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  const vf = new Int32Array(2 * max + 3);
+  const vb = new Int32Array(2 * max + 3);
+  vf[offset + 1] = left;
+  vb[offset + 1] = bottom;
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = d; k >= -d; k -= 2) {
+      let px;
+      let x;
+      if (k === -d || (k !== d && vf[offset + k - 1] < vf[offset + k + 1])) {
+        px = x = vf[offset + k + 1]; // down (insertion)
+      } else {
+        px = vf[offset + k - 1];
+        x = px + 1; // right (deletion)
+      }
+      let y = top + (x - left) - k;
+      const py = d === 0 || x !== px ? y : y - 1;
+      while (x < right && y < bottom && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      vf[offset + k] = x;
+      const c = k - delta;
+      if (odd && c >= -(d - 1) && c <= d - 1 && y >= vb[offset + c]) return [px, py, x, y, true];
+    }
+
+    for (let c = d; c >= -d; c -= 2) {
+      let py;
+      let y;
+      if (c === -d || (c !== d && vb[offset + c - 1] > vb[offset + c + 1])) {
+        py = y = vb[offset + c + 1]; // up (insertion)
+      } else {
+        py = vb[offset + c - 1];
+        y = py - 1; // left (deletion)
+      }
+      const k = c + delta;
+      let x = left + (y - top) + k;
+      const px = d === 0 || y !== py ? x : x + 1;
+      while (x > left && y > top && a[x - 1] === b[y - 1]) {
+        x--;
+        y--;
+      }
+      vb[offset + c] = y;
+      if (!odd && k >= -d && k <= d && x <= vf[offset + k]) return [x, y, px, py, false];
+    }
+  }
+  throw new Error("diffLines: no middle snake found"); // unreachable for valid input
+}
+
+function walkSnake(a, b, [x, y, toX, toY, editFirst], ops) {
+  const edit = () => {
+    if (toX - x > toY - y) ops.push({ type: "del", line: a[x++] });
+    else if (toY - y > toX - x) ops.push({ type: "add", line: b[y++] });
+  };
+  if (editFirst) edit();
+  while (x < toX && y < toY) {
+    ops.push({ type: "equal", line: a[x++] });
+    y++;
+  }
+  edit();
+}
+
+/**
+ * Builds a unified diff (git style, `context` lines around each change).
+ *
+ * Returns { diff, added, removed, noop }. `diff` is "" when nothing changed.
+ */
+export function unifiedDiff(oldText, newText, { fromFile = "a", toFile = "b", context = 3 } = {}) {
+  const ops = diffLines(markMissingEol(oldText), markMissingEol(newText));
+
+  let added = 0;
+  let removed = 0;
+  for (const op of ops) {
+    if (op.type === "add") added++;
+    else if (op.type === "del") removed++;
+  }
+
+  if (!added && !removed) {
+    return { diff: "", added: 0, removed: 0, noop: true };
+  }
+
+  // Annotate each op with its 1-based position in the old / new file
+  let oldLine = 1;
+  let newLine = 1;
+  const rows = ops.map(op => {
+    const row = { ...op, oldLine, newLine };
+    if (op.type !== "add") oldLine++;
+    if (op.type !== "del") newLine++;
+    return row;
+  });
+
+  // Group changes (plus context) into hunks
+  const hunks = [];
+  let current = null;
+  rows.forEach((row, i) => {
+    if (row.type === "equal") return;
+    const start = Math.max(0, i - context);
+    const end = Math.min(rows.length - 1, i + context);
+    if (current && start <= current.end + 1) {
+      current.end = Math.max(current.end, end);
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const h of hunks) {
+    const slice = rows.slice(h.start, h.end + 1);
+    const oldCount = slice.filter(r => r.type !== "add").length;
+    const newCount = slice.filter(r => r.type !== "del").length;
+    const oldStart = oldCount ? slice.find(r => r.type !== "add").oldLine : slice[0].oldLine - 1;
+    const newStart = newCount ? slice.find(r => r.type !== "del").newLine : slice[0].newLine - 1;
+
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const r of slice) {
+      const prefix = r.type === "add" ? "+" : r.type === "del" ? "-" : " ";
+      if (r.line.endsWith(NO_EOL)) {
+        out.push(prefix + r.line.slice(0, -NO_EOL.length), "\\ No newline at end of file");
+      } else {
+        out.push(prefix + r.line);
+      }
+    }
+  }
+
+  return { diff: out.join("\n") + "\n", added, removed, noop: false };
+}
+
+// ======================================================================
+// THREE-WAY MERGE (diff3 style)
+// ======================================================================
+
+/**
+ * Merges two descendants of `base` line by line. Changes on one side only
+ * are taken as they are; overlapping or touching changes that differ
+ * become a conflict block:
+ *
+ *   <<<<<<< oursLabel
+ *   …ours…
+ *   =======
+ *   …theirs…
+ *   >>>>>>> theirsLabel
+ *
+ * Returns { clean, text, conflicts } – `text` carries the markers when
+ * `clean` is false.
+ */
+export function threeWayMerge(base, ours, theirs, { oursLabel = "ours", theirsLabel = "theirs" } = {}) {
+  if (ours === theirs || base === theirs) return { clean: true, text: ours, conflicts: 0 };
+  if (base === ours) return { clean: true, text: theirs, conflicts: 0 };
+
+  const b = splitLines(base);
+  const hunks = [
+    ...changeHunks(b, splitLines(ours), "ours"),
+    ...changeHunks(b, splitLines(theirs), "theirs")
+  ].sort((x, y) => x.start - y.start || x.end - y.end);
+
+  const out = [];
+  let pos = 0;
+  let conflicts = 0;
+  let i = 0;
+  while (i < hunks.length) {
+    // a group = hunks whose base ranges overlap or touch
+    const group = [hunks[i++]];
+    const start = group[0].start;
+    let end = group[0].end;
+    while (i < hunks.length && hunks[i].start <= end) {
+      end = Math.max(end, hunks[i].end);
+      group.push(hunks[i++]);
+    }
+
+    out.push(...b.slice(pos, start));
+    const oursLines = applyHunks(b, start, end, group.filter(h => h.side === "ours"));
+    const theirsLines = applyHunks(b, start, end, group.filter(h => h.side === "theirs"));
+
+    if (group.every(h => h.side === "ours")) {
+      out.push(...oursLines);
+    } else if (group.every(h => h.side === "theirs") || sameLines(oursLines, theirsLines)) {
+      out.push(...theirsLines);
+    } else {
+      conflicts++;
+      out.push(`<<<<<<< ${oursLabel}`, ...oursLines, "=======", ...theirsLines, `>>>>>>> ${theirsLabel}`);
+    }
+    pos = end;
+  }
+  out.push(...b.slice(pos));
+
+  // trailing newline: keep what the side that changed it wants
+  const eol = text => text.endsWith("\n");
+  const finalEol = eol(ours) === eol(theirs) || eol(base) !== eol(ours) ? eol(ours) : eol(theirs);
+
+  return {
+    clean: conflicts === 0,
+    text: out.length ? out.join("\n") + (finalEol ? "\n" : "") : "",
+    conflicts
+  };
+}
+
+// base[start, end) replaced by `lines`, per contiguous change of one side
+function changeHunks(base, other, side) {
+  const hunks = [];
+  let at = 0;
+  let current = null;
+  for (const op of diffLines(base, other)) {
+    if (op.type === "equal") {
+      current = null;
+      at++;
+      continue;
+    }
+    if (!current) {
+      current = { side, start: at, end: at, lines: [] };
+      hunks.push(current);
+    }
+    if (op.type === "del") current.end = ++at;
+    else current.lines.push(op.line);
+  }
+  return hunks;
+}
+
+function applyHunks(base, start, end, hunks) {
+  const out = [];
+  let pos = start;
+  for (const h of hunks) {
+    out.push(...base.slice(pos, h.start), ...h.lines);
+    pos = h.end;
+  }
+  out.push(...base.slice(pos, end));
+  return out;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
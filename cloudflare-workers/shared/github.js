@@ -0,0 +1,368 @@
+// ======================================================================
+// ASA SHARED – GITHUB CLIENT (REST, used by every worker)
+// ======================================================================
+//
+//   const gh = createGitHubClient({ token, owner, repo, userAgent });
+//   await gh.putFile("docs/á.md", "tartalom", "msg", { branch: "dev", author });
+//
+// - content: strings go up as UTF-8, Uint8Array / ArrayBuffer as raw bytes,
+//   { encoding: "base64" } when the caller already has base64
+// - putFile / deleteFile re-read the file sha and retry when GitHub answers
+//   409 / 422 "sha does not match" (someone committed in between) – unless
+//   the caller pins { expectedSha }: then a mismatch is a GitHubConflictError
+// - network errors and 5xx are retried for GET / HEAD only: a write that
+//   may already have landed is never sent twice
+// - X-RateLimit-Remaining is tracked per client: requests are spaced out
+//   when it runs low, and a rate-limited request waits for the reset /
+//   Retry-After (up to maxRateLimitWaitMs) instead of failing at once
+// - non-2xx answers throw GitHubError or one of its subclasses; the
+//   get* helpers return null for 404 where "missing" is a normal answer
+//
+// request(method, url, body) takes absolute URLs or "/repos/…" paths, so
+// the client is a drop-in for the harmonizer's ghGet / ghPost / ….
+
+import { bytesToBase64, base64ToBytes } from "./zip.js";
+
+const API = "https://api.github.com";
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_MAX_RATE_LIMIT_WAIT_MS = 60_000;
+const LOW_REMAINING = 20;        // below this, spread the rest until the reset
+const MAX_SPACING_MS = 2_000;
+const RETRY_BASE_MS = 500;
+
+export class GitHubError extends Error {
+  constructor(message, { status = 0, method = null, url = null, body = null } = {}) {
+    super(message);
+    this.name = "GitHubError";
+    this.status = status;
+    this.method = method;
+    this.url = url;
+    this.body = body;
+  }
+}
+
+export class GitHubNotFoundError extends GitHubError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "GitHubNotFoundError";
+  }
+}
+
+// the file changed under us more often than maxRetries, or moved away
+// from the caller's expectedSha
+export class GitHubConflictError extends GitHubError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "GitHubConflictError";
+  }
+}
+
+export class GitHubRateLimitError extends GitHubError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "GitHubRateLimitError";
+    this.resetAt = details.resetAt || null; // ISO
+  }
+}
+
+/**
+ * owner / repo are only needed by the repo helpers (getTree, putFile, …);
+ * `sleep` can be swapped out in tests.
+ */
+export function createGitHubClient({
+  token,
+  owner = null,
+  repo = null,
+  userAgent = "ASA",
+  maxRetries = DEFAULT_MAX_RETRIES,
+  maxRateLimitWaitMs = DEFAULT_MAX_RATE_LIMIT_WAIT_MS,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  if (!token) throw new GitHubError("GitHub token is not configured");
+
+  const rate = { limit: null, remaining: null, resetAt: null };
+  const repoPath = path => {
+    if (!owner || !repo) throw new GitHubError("GitHub owner / repo not configured");
+    return `/repos/${owner}/${repo}${path}`;
+  };
+  const refQuery = ref => (ref ? `?ref=${encodeURIComponent(ref)}` : "");
+
+  /**
+   * options.accept  Accept header (default application/vnd.github+json)
+   * options.as      "json" (default, 204 → null) | "text" | "bytes"
+   */
+  async function request(method, url, body = null, { accept = "application/vnd.github+json", as = "json" } = {}) {
+    const target = /^https?:\/\//.test(url) ? url : API + url;
+    const details = { method, url: target };
+
+    for (let attempt = 0; ; attempt++) {
+      const pause = spacingMs(rate);
+      if (pause) await sleep(pause);
+
+      const init = {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Accept: accept,
+          "X-GitHub-Api-Version": "2022-11-28",
+          "User-Agent": userAgent
+        }
+      };
+      if (body != null) {
+        init.headers["Content-Type"] = "application/json";
+        init.body = JSON.stringify(body);
+      }
+
+      let res;
+      try {
+        res = await fetch(target, init);
+      } catch (e) {
+        // a write may have reached GitHub before the connection dropped –
+        // retrying it could open a second PR or commit, so only reads retry
+        if (attempt < maxRetries && isIdempotent(method)) {
+          await sleep(backoffMs(attempt));
+          continue;
+        }
+        throw new GitHubError(`GitHub ${method} ${shortUrl(target)} failed: ${e.message}`, details);
+      }
+      readRateLimit(res.headers, rate);
+
+      if (res.ok) {
+        if (res.status === 204) return null;
+        if (as === "bytes") return new Uint8Array(await res.arrayBuffer());
+        if (as === "text") return res.text();
+        return res.json();
+      }
+
+      const text = await res.text().catch(() => "");
+      let parsed = null;
+      try { parsed = JSON.parse(text); } catch (_) { parsed = { message: text }; }
+      const failure = { ...details, status: res.status, body: parsed };
+      const message = `GitHub ${method} ${shortUrl(target)} failed: ${res.status} ${parsed?.message || ""}`.trim();
+
+      if (isRateLimited(res, parsed, rate)) {
+        const wait = rateLimitWaitMs(res.headers, rate);
+        if (attempt < maxRetries && wait <= maxRateLimitWaitMs) {
+          await sleep(wait);
+          rate.remaining = null; // a fresh window – the next answer tells
+          continue;
+        }
+        throw new GitHubRateLimitError(message, { ...failure, resetAt: rate.resetAt });
+      }
+      if (res.status >= 500 && attempt < maxRetries && isIdempotent(method)) {
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      if (res.status === 404) throw new GitHubNotFoundError(message, failure);
+      throw new GitHubError(message, failure);
+    }
+  }
+
+  const orNull = promise => promise.catch(e => {
+    if (e instanceof GitHubNotFoundError) return null;
+    throw e;
+  });
+
+  // sha of `path` on `branch` (default branch when null), null when missing
+  async function getFileSha(path, branch = null) {
+    const meta = await orNull(request("GET", repoPath(`/contents/${encodePath(path)}${refQuery(branch)}`)));
+    return meta?.sha || null;
+  }
+
+  // GET sha → write; a 409 / 422 sha mismatch means the file moved on, so
+  // read the new sha and try again
+  async function withFreshSha(path, branch, write) {
+    for (let attempt = 0; ; attempt++) {
+      const sha = await getFileSha(path, branch);
+      try {
+        return await write(sha);
+      } catch (e) {
+        if (!isShaMismatch(e)) throw e;
+        if (attempt >= maxRetries) {
+          throw new GitHubConflictError(`${path} kept changing on GitHub – gave up after ${attempt + 1} attempt(s)`, e);
+        }
+        await sleep(backoffMs(attempt));
+      }
+    }
+  }
+
+  // expectedSha pinned (blob sha, or null = must not exist yet): exactly one
+  // write against that version, never a blind retry on top of someone else's
+  async function withExpectedSha(path, expectedSha, write) {
+    try {
+      return await write(expectedSha);
+    } catch (e) {
+      if (!isShaMismatch(e)) throw e;
+      throw new GitHubConflictError(
+        `${path} changed on GitHub (expected ${expectedSha ? expectedSha.slice(0, 7) : "no file"})`,
+        e
+      );
+    }
+  }
+
+  const writeFile = (path, branch, expectedSha, write) =>
+    expectedSha === undefined ? withFreshSha(path, branch, write) : withExpectedSha(path, expectedSha, write);
+
+  async function getBlobBytes(sha) {
+    const blob = await request("GET", repoPath(`/git/blobs/${sha}`));
+    return base64ToBytes(blob.content);
+  }
+
+  const commitOptions = (branch, author) => ({
+    ...(branch ? { branch } : {}),
+    ...(author ? { author, committer: author } : {})
+  });
+
+  return {
+    repoFull: owner && repo ? `${owner}/${repo}` : null,
+    rateLimit: rate,
+    request,
+
+    // → { sha } | null (empty repo / unknown branch)
+    async getLatestCommit(branch = null) {
+      const query = branch ? `&sha=${encodeURIComponent(branch)}` : "";
+      const list = await orNull(request("GET", repoPath(`/commits?per_page=1${query}`)));
+      return Array.isArray(list) && list[0]?.sha ? { sha: list[0].sha } : null;
+    },
+
+    getTree(sha) {
+      return request("GET", repoPath(`/git/trees/${sha}?recursive=1`));
+    },
+
+    async getCheckRuns(sha) {
+      const out = await request("GET", repoPath(`/commits/${sha}/check-runs?per_page=100`));
+      return out.check_runs || [];
+    },
+
+    compare(fromSha, toSha) {
+      return request("GET", repoPath(`/compare/${fromSha}...${toSha}`));
+    },
+
+    getFileText(path, ref = null) {
+      return orNull(request("GET", repoPath(`/contents/${encodePath(path)}${refQuery(ref)}`), null, {
+        accept: "application/vnd.github.raw",
+        as: "text"
+      }));
+    },
+
+    getFileBytes(path, ref = null) {
+      return orNull(request("GET", repoPath(`/contents/${encodePath(path)}${refQuery(ref)}`), null, {
+        accept: "application/vnd.github.raw",
+        as: "bytes"
+      }));
+    },
+
+    getFileSha,
+
+    getBlobBytes,
+
+    async getBlobText(sha) {
+      return new TextDecoder().decode(await getBlobBytes(sha));
+    },
+
+    /**
+     * Creates / updates one file (one commit).
+     * options: { branch, author: { name, email }, encoding: "base64",
+     *            expectedSha: blob sha the file must still have (null: must not exist) }
+     * → GitHub's answer ({ content, commit })
+     */
+    putFile(path, content, message, { branch = null, author = null, encoding = null, expectedSha } = {}) {
+      const encoded = encodeContent(content, encoding);
+      return writeFile(path, branch, expectedSha, sha => request("PUT", repoPath(`/contents/${encodePath(path)}`), {
+        message,
+        content: encoded,
+        ...(sha ? { sha } : {}),
+        ...commitOptions(branch, author)
+      }));
+    },
+
+    // → GitHub's answer, or null when the file was already gone
+    deleteFile(path, message, { branch = null, author = null, expectedSha } = {}) {
+      return writeFile(path, branch, expectedSha, sha => {
+        if (!sha) return null;
+        return orNull(request("DELETE", repoPath(`/contents/${encodePath(path)}`), {
+          message,
+          sha,
+          ...commitOptions(branch, author)
+        }));
+      });
+    }
+  };
+}
+
+// ======================================================================
+// ENCODING
+// ======================================================================
+
+export function utf8ToBase64(text) {
+  return bytesToBase64(new TextEncoder().encode(String(text)));
+}
+
+export function base64ToUtf8(base64) {
+  return new TextDecoder().decode(base64ToBytes(base64));
+}
+
+// string → UTF-8, bytes as they are, or already-base64 with encoding "base64"
+export function encodeContent(content, encoding = null) {
+  if (encoding === "base64") return String(content).replace(/\s+/g, "");
+  if (typeof content === "string") return utf8ToBase64(content);
+  if (content instanceof ArrayBuffer) return bytesToBase64(new Uint8Array(content));
+  if (ArrayBuffer.isView(content)) return bytesToBase64(new Uint8Array(content.buffer, content.byteOffset, content.byteLength));
+  throw new GitHubError("File content must be a string, ArrayBuffer or Uint8Array");
+}
+
+export function encodePath(path) {
+  return String(path).split("/").map(encodeURIComponent).join("/");
+}
+
+// ======================================================================
+// HELPERS
+// ======================================================================
+
+function isIdempotent(method) {
+  return method === "GET" || method === "HEAD";
+}
+
+function isShaMismatch(err) {
+  if (!(err instanceof GitHubError)) return false;
+  if (err.status === 409) return true;
+  return err.status === 422 && /sha/i.test(err.body?.message || "");
+}
+
+function readRateLimit(headers, rate) {
+  const remaining = headers.get("x-ratelimit-remaining");
+  if (remaining == null) return;
+  rate.remaining = Number(remaining);
+  rate.limit = Number(headers.get("x-ratelimit-limit")) || rate.limit;
+  const reset = Number(headers.get("x-ratelimit-reset"));
+  if (reset) rate.resetAt = new Date(reset * 1000).toISOString();
+}
+
+// primary limit (remaining 0) or secondary limit (Retry-After / 429)
+function isRateLimited(res, body, rate) {
+  if (res.status === 429) return true;
+  if (res.status !== 403) return false;
+  return rate.remaining === 0 || res.headers.has("retry-after") || /rate limit/i.test(body?.message || "");
+}
+
+function rateLimitWaitMs(headers, rate) {
+  const retryAfter = Number(headers.get("retry-after"));
+  if (retryAfter) return retryAfter * 1000;
+  if (rate.remaining === 0 && rate.resetAt) return Math.max(0, Date.parse(rate.resetAt) - Date.now()) + 1000;
+  return 60_000; // secondary limit without a hint – GitHub asks for at least a minute
+}
+
+// running low → spread what is left over the time until the reset
+function spacingMs(rate) {
+  if (rate.remaining == null || rate.remaining >= LOW_REMAINING || !rate.resetAt) return 0;
+  const untilReset = Math.max(0, Date.parse(rate.resetAt) - Date.now());
+  return Math.min(MAX_SPACING_MS, Math.ceil(untilReset / (rate.remaining + 1)));
+}
+
+function backoffMs(attempt) {
+  return RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS);
+}
+
+function shortUrl(url) {
+  return url.replace(API, "").split("?")[0];
+}
@@ -0,0 +1,155 @@
+// ======================================================================
+// ASA SHARED – GLOB / PATH FILTERS (.gitignore flavoured)
+// ======================================================================
+//
+//   **          any number of directories      apps/**/index.ts
+//   *  ?        within one path segment         *.js, v?.txt
+//   [abc] {a,b} character class / alternatives   *.{ts,tsx}
+//   !pattern    negation, last matching pattern wins
+//   /pattern    anchored to the repo root
+//   pattern     without "/" → matches at any depth (like .gitignore)
+//
+// A pattern that matches a directory also matches everything below it,
+// so "apps", "apps/" and "apps/**" select the same files.
+
+const GLOB_CHARS = /[*?[\]{}]/;
+
+export function hasGlob(pattern) {
+  return GLOB_CHARS.test(pattern);
+}
+
+export function globToRegExp(pattern) {
+  let p = pattern.trim();
+  const anchored = p.startsWith("/");
+  p = p.replace(/^\/+/, "").replace(/\/+$/, "");
+
+  // .gitignore rule: no slash in the middle → match the basename anywhere
+  const anyDepth = !anchored && !p.includes("/");
+  const body = convert(p);
+
+  return new RegExp(`^${anyDepth ? "(?:.*/)?" : ""}${body}(?:/.*)?$`);
+}
+
+function convert(p) {
+  let out = "";
+  for (let i = 0; i < p.length; i++) {
+    const c = p[i];
+
+    if (c === "*") {
+      if (p[i + 1] === "*") {
+        i++;
+        if (p[i + 1] === "/") {
+          i++;
+          out += "(?:.*/)?";
+        } else {
+          out += ".*";
+        }
+      } else {
+        out += "[^/]*";
+      }
+    } else if (c === "?") {
+      out += "[^/]";
+    } else if (c === "[") {
+      const end = p.indexOf("]", i + 1);
+      if (end === -1) {
+        out += "\\[";
+        continue;
+      }
+      let cls = p.slice(i + 1, end).replace(/\\/g, "\\\\");
+      if (cls.startsWith("!")) cls = "^" + cls.slice(1);
+      out += `[${cls}]`;
+      i = end;
+    } else if (c === "{") {
+      const end = p.indexOf("}", i + 1);
+      if (end === -1) {
+        out += "\\{";
+        continue;
+      }
+      out += "(?:" + p.slice(i + 1, end).split(",").map(convert).join("|") + ")";
+      i = end;
+    } else {
+      out += c.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+  return out;
+}
+
+/**
+ * Compiles a pattern list into `path => boolean`.
+ * Later patterns override earlier ones; "!pattern" re-excludes / re-includes.
+ */
+export function createPathMatcher(patterns) {
+  const rules = patterns
+    .map(p => p.trim())
+    .filter(p => p && !p.startsWith("#"))
+    .map(p => {
+      const negate = p.startsWith("!");
+      return { negate, re: globToRegExp(negate ? p.slice(1) : p) };
+    });
+
+  return path => {
+    let matched = false;
+    for (const rule of rules) {
+      if (rule.re.test(path)) matched = !rule.negate;
+    }
+    return matched;
+  };
+}
+
+/**
+ * include: patterns to select (empty → everything)
+ * exclude: patterns to drop again
+ * extensions: optional whitelist like [".ts", "js"]
+ */
+export function createPathFilter({ include = [], exclude = [], extensions = [] } = {}) {
+  const included = include.length ? createPathMatcher(include) : () => true;
+  const excluded = createPathMatcher(exclude);
+  const exts = extensions.map(e => (e.startsWith(".") ? e : "." + e).toLowerCase());
+
+  return path => {
+    if (!included(path) || excluded(path)) return false;
+    if (exts.length && !exts.some(e => path.toLowerCase().endsWith(e))) return false;
+    return true;
+  };
+}
+
+/**
+ * Accepts ["a", "b"] or "a, b" (env vars, form fields) → ["a", "b"].
+ */
+export function splitPatternList(value) {
+  if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
+  return String(value || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+// ======================================================================
+// BINARY DETECTION
+// ======================================================================
+
+export const BINARY_EXTENSIONS = new Set([
+  "png", "jpg", "jpeg", "gif", "webp", "ico", "bmp", "tiff", "psd",
+  "pdf", "zip", "gz", "tgz", "bz2", "xz", "7z", "rar", "tar", "jar",
+  "woff", "woff2", "ttf", "otf", "eot",
+  "mp3", "mp4", "mov", "avi", "wav", "ogg", "webm", "flac",
+  "exe", "dll", "so", "dylib", "bin", "wasm", "class", "o", "a", "pyc",
+  "sqlite", "db", "lockb"
+]);
+
+export function hasBinaryExtension(path) {
+  const dot = path.lastIndexOf(".");
+  if (dot === -1 || dot < path.lastIndexOf("/")) return false;
+  return BINARY_EXTENSIONS.has(path.slice(dot + 1).toLowerCase());
+}
+
+/**
+ * Content sniffing (same idea as git): a NUL byte or too many control
+ * characters in the first 8 KB means binary.
+ */
+export function looksBinary(bytes) {
+  const sample = bytes.subarray(0, 8000);
+  let control = 0;
+  for (const b of sample) {
+    if (b === 0) return true;
+    if (b < 7 || (b > 13 && b < 32)) control++;
+  }
+  return sample.length > 0 && control / sample.length > 0.1;
+}
@@ -0,0 +1,662 @@
+// ======================================================================
+// ASA HARMONIZER ENGINE – shared by the harmonizer workers
+// collect (tree + blob cache) → LLM passes → validate → diff → atomic commit
+// ======================================================================
+
+import { unifiedDiff } from "./diff.js";
+import { chatComplete, extractJson } from "./llm-provider.js";
+import {
+  createPathFilter,
+  createPathMatcher,
+  splitPatternList,
+  hasBinaryExtension,
+  looksBinary
+} from "./glob.js";
+import { createGitHubClient, utf8ToBase64 } from "./github.js";
+import { base64ToBytes } from "./zip.js";
+
+/**
+ * One full harmonizer run at a pinned `baseSha`, without committing:
+ * collects the selected files, runs the LLM passes and diffs the result.
+ *
+ * Returns { collected, ignored, cache, result, diffs, changedFiles }.
+ * `collected` is empty when the selection matched nothing.
+ */
+export async function runHarmonization(env, gh, repoApi, { llm, owner, repo, baseSha, baseBranch, note, selection }) {
+  const { files: collected, ignored, cache } = await collectFiles(env, gh, repoApi, {
+    baseSha,
+    filter: createPathFilter(selection)
+  });
+
+  if (!collected.length) {
+    return { collected, ignored, cache, result: null, diffs: [], changedFiles: [] };
+  }
+
+  console.log(`Collected ${collected.length} files (blob cache ${cache.hits} hit / ${cache.misses} miss)`);
+
+  const result = await runHarmonizerPasses(env, llm, {
+    owner,
+    repo,
+    baseBranch,
+    note,
+    files: collected,
+    readOnly: ignored.map(i => i.path),
+    policy: buildPathPolicy(env, selection)
+  });
+
+  const diffs = buildFileDiffs(collected, result.files);
+  const changedFiles = result.files.filter((_, i) => !diffs[i].noop);
+
+  return { collected, ignored, cache, result, diffs, changedFiles };
+}
+
+// ======================================================================
+// GITHUB HELPERS
+// ======================================================================
+
+// thin alias over the shared client (retries, rate limits, typed errors)
+export function ghClient(token) {
+  return createGitHubClient({ token, userAgent: "ASA-HARMONIZER" });
+}
+
+export function ghGet(client, url) { return client.request("GET", url); }
+export function ghPost(client, url, body) { return client.request("POST", url, body); }
+export function ghPut(client, url, body) { return client.request("PUT", url, body); }
+export function ghDelete(client, url) { return client.request("DELETE", url); }
+
+// ======================================================================
+// GITHUB ATOMIC COMMIT (Git Data API)
+// ======================================================================
+
+/**
+ * Writes every harmonized file into a single commit on top of `baseSha`.
+ *
+ * File entries:
+ *   { path, content }                 → create / update
+ *   { path, action: "delete" }        → remove path
+ *   { path, from, content? }          → rename `from` → `path` (content optional)
+ *
+ * Nothing is visible on any branch until the caller points a ref at the
+ * returned commit, so a failure in here leaves the repo untouched.
+ */
+export async function commitFilesAtomically(gh, repoApi, { baseSha, message, files }) {
+  const baseCommit = await ghGet(gh, `${repoApi}/git/commits/${baseSha}`);
+  const baseTree = await ghGet(gh, `${repoApi}/git/trees/${baseCommit.tree.sha}?recursive=1`);
+  const existing = new Map(
+    baseTree.tree.filter(e => e.type === "blob").map(e => [e.path, e])
+  );
+
+  const entries = [];
+  const changes = [];
+
+  for (const file of files) {
+    const action = file.action || (file.from && file.from !== file.path ? "rename" : "upsert");
+
+    if (action === "delete") {
+      if (!existing.has(file.path)) continue; // nothing to delete
+      entries.push({ path: file.path, mode: existing.get(file.path).mode, type: "blob", sha: null });
+      changes.push({ path: file.path, status: "deleted" });
+      continue;
+    }
+
+    const source = action === "rename" ? existing.get(file.from) : existing.get(file.path);
+    if (action === "rename" && !source) {
+      throw new Error(`Cannot rename missing file: ${file.from}`);
+    }
+
+    let blobSha;
+    if (typeof file.content === "string") {
+      const blob = await ghPost(gh, `${repoApi}/git/blobs`, {
+        content: base64encode(file.content),
+        encoding: "base64"
+      });
+      blobSha = blob.sha;
+    } else if (action === "rename") {
+      blobSha = source.sha; // pure move, reuse blob
+    } else {
+      throw new Error(`Missing content for ${file.path}`);
+    }
+
+    if (action === "rename") {
+      entries.push({ path: file.from, mode: source.mode, type: "blob", sha: null });
+    }
+    entries.push({
+      path: file.path,
+      mode: source?.mode || "100644",
+      type: "blob",
+      sha: blobSha
+    });
+
+    changes.push({
+      path: file.path,
+      status: action === "rename" ? "renamed" : existing.has(file.path) ? "updated" : "created",
+      ...(action === "rename" ? { from: file.from } : {})
+    });
+  }
+
+  if (!entries.length) throw new Error("Harmonizer produced no applicable changes");
+
+  const tree = await ghPost(gh, `${repoApi}/git/trees`, {
+    base_tree: baseCommit.tree.sha,
+    tree: entries
+  });
+
+  const commit = await ghPost(gh, `${repoApi}/git/commits`, {
+    message,
+    tree: tree.sha,
+    parents: [baseSha]
+  });
+
+  return { sha: commit.sha, changes };
+}
+
+export async function deleteBranch(gh, repoApi, branch) {
+  try {
+    await ghDelete(gh, `${repoApi}/git/refs/heads/${branch}`);
+  } catch (err) {
+    console.error(`Branch cleanup failed for ${branch}:`, err);
+  }
+}
+
+// ======================================================================
+// GITHUB FILE COLLECTION (one recursive tree + cached blob fetches)
+// ======================================================================
+
+const MAX_FILE_BYTES = 120000;
+const DEFAULT_FETCH_CONCURRENCY = 6; // Workers allow 6 open connections per request
+const BLOB_PREFIX = "harmonizer:blob:";
+const BLOB_TTL_SECONDS = 30 * 24 * 3600;
+
+/**
+ * Lists the whole tree at `baseSha` once, keeps the blobs that pass
+ * `filter`, and fetches their content in parallel (bounded). Blobs are
+ * immutable, so they are cached in KV by SHA: an unchanged tree costs one
+ * tree request. Binary and oversized files are reported in `ignored`.
+ */
+export async function collectFiles(env, gh, repoApi, { baseSha, filter }) {
+  const tree = await ghGet(gh, `${repoApi}/git/trees/${baseSha}?recursive=1`);
+  if (tree.truncated) console.warn("Git tree listing truncated by GitHub – some files may be missing");
+
+  const ignored = [];
+  const wanted = [];
+
+  for (const entry of tree.tree) {
+    if (entry.type !== "blob" || !filter(entry.path)) continue;
+
+    if (hasBinaryExtension(entry.path)) {
+      ignored.push({ path: entry.path, reason: "binary" });
+    } else if (entry.size > MAX_FILE_BYTES) {
+      ignored.push({ path: entry.path, reason: "too large" });
+    } else {
+      wanted.push(entry);
+    }
+  }
+
+  const cache = { hits: 0, misses: 0 };
+  const concurrency = Number(env.HARMONIZER_FETCH_CONCURRENCY) || DEFAULT_FETCH_CONCURRENCY;
+
+  const blobs = await mapWithConcurrency(wanted, concurrency, async entry => {
+    try {
+      return await getBlobText(env, gh, repoApi, entry.sha, cache);
+    } catch (err) {
+      return { error: err.message || String(err) };
+    }
+  });
+
+  const files = [];
+  wanted.forEach((entry, i) => {
+    const blob = blobs[i];
+    if (blob.error) ignored.push({ path: entry.path, reason: `fetch failed: ${blob.error}` });
+    else if (blob.binary) ignored.push({ path: entry.path, reason: "binary" });
+    else files.push({ path: entry.path, sha: entry.sha, content: blob.content });
+  });
+
+  return { files, ignored, cache };
+}
+
+async function getBlobText(env, gh, repoApi, sha, cache) {
+  if (env.ASA_STATE) {
+    const cached = await env.ASA_STATE.get(BLOB_PREFIX + sha, "json");
+    if (cached) {
+      cache.hits++;
+      return cached;
+    }
+  }
+  cache.misses++;
+
+  const blob = await ghGet(gh, `${repoApi}/git/blobs/${sha}`);
+  const bytes = base64ToBytes(blob.content);
+  const record = looksBinary(bytes)
+    ? { binary: true }
+    : { binary: false, content: new TextDecoder().decode(bytes) };
+
+  if (env.ASA_STATE) {
+    await env.ASA_STATE.put(BLOB_PREFIX + sha, JSON.stringify(record), {
+      expirationTtl: BLOB_TTL_SECONDS
+    });
+  }
+  return record;
+}
+
+// Runs `fn` over `items` with at most `limit` in flight; keeps input order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// ======================================================================
+// PREVIEW DIFFS
+// ======================================================================
+
+/**
+ * Diffs every harmonized file against the base-branch content that was
+ * crawled for it. Returned in the same order as `files`.
+ */
+export function buildFileDiffs(collected, files) {
+  const base = new Map(collected.map(f => [f.path, f.content]));
+
+  return files.map(file => {
+    const action = file.action || (file.from && file.from !== file.path ? "rename" : "upsert");
+    const sourcePath = action === "rename" ? file.from : file.path;
+    const exists = base.has(sourcePath);
+    const before = base.get(sourcePath) ?? "";
+    const after = action === "delete" ? "" : file.content ?? before;
+
+    const { diff, added, removed, noop } = unifiedDiff(before, after, {
+      fromFile: exists ? `a/${sourcePath}` : "/dev/null",
+      toFile: action === "delete" ? "/dev/null" : `b/${file.path}`
+    });
+
+    return {
+      path: file.path,
+      ...(action === "rename" ? { from: file.from } : {}),
+      action: action === "upsert" ? (exists ? "update" : "create") : action,
+      rationale: file.rationale || null,
+      added,
+      removed,
+      // a rename is never a no-op, even with unchanged content
+      noop: action === "rename" ? false : noop,
+      diff
+    };
+  });
+}
+
+export function diffStats(diffs) {
+  return {
+    files: diffs.length,
+    changed: diffs.filter(d => !d.noop).length,
+    noop: diffs.filter(d => d.noop).length,
+    added: diffs.reduce((n, d) => n + d.added, 0),
+    removed: diffs.reduce((n, d) => n + d.removed, 0)
+  };
+}
+
+// ======================================================================
+// HARMONIZER BATCH PLANNER
+// ======================================================================
+
+const DEFAULT_BATCH_TOKENS = 12000;
+const DEFAULT_MAX_FILE_TOKENS = 6000;
+const DEFAULT_MAX_PASSES = 10;
+
+// Rough GPT-style estimate (~4 chars per token), good enough for budgeting
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Splits collected files into batches that fit `batchTokens`.
+ * Files larger than `maxFileTokens` are cut down and flagged `truncated`:
+ * they still go to the model as read-only context, but are never written back.
+ */
+function planHarmonizerBatches(files, { batchTokens, maxFileTokens }) {
+  const batches = [];
+  let current = [];
+  let used = 0;
+
+  const ordered = [...files].sort((a, b) => a.path.localeCompare(b.path));
+
+  for (const file of ordered) {
+    let content = file.content;
+    let truncated = false;
+    if (estimateTokens(content) > maxFileTokens) {
+      content = content.slice(0, maxFileTokens * 4);
+      truncated = true;
+    }
+
+    const cost = estimateTokens(content) + estimateTokens(file.path) + 8;
+    if (current.length && used + cost > batchTokens) {
+      batches.push(current);
+      current = [];
+      used = 0;
+    }
+    current.push({ path: file.path, content, truncated });
+    used += cost;
+  }
+
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+/**
+ * Runs the harmonizer once per batch, carrying a shared style summary
+ * between passes, and merges everything into a single proposal.
+ *
+ * Existing files may only be written back if they went to the model in
+ * full, in any pass of this run. `readOnly` lists paths that exist but were
+ * never sent (binary, too large, fetch failed): they cannot be a rename
+ * target either. Any other path is a new file; the policy already checked
+ * that it is in scope and not protected.
+ */
+export async function runHarmonizerPasses(env, llm, { owner, repo, baseBranch, note, files, policy, readOnly = [] }) {
+  const batches = planHarmonizerBatches(files, {
+    batchTokens: Number(env.HARMONIZER_BATCH_TOKENS) || DEFAULT_BATCH_TOKENS,
+    maxFileTokens: Number(env.HARMONIZER_MAX_FILE_TOKENS) || DEFAULT_MAX_FILE_TOKENS
+  });
+  const maxPasses = Number(env.HARMONIZER_MAX_PASSES) || DEFAULT_MAX_PASSES;
+
+  const sent = batches.slice(0, maxPasses).flat();
+  const writable = new Set(sent.filter(f => !f.truncated).map(f => f.path));
+  const locked = new Set([...readOnly, ...batches.flat().filter(f => !writable.has(f.path)).map(f => f.path)]);
+
+  const merged = new Map();
+  const summaries = [];
+  const skipped = [];
+  const rejected = [];
+  let styleSummary = "";
+
+  for (const [i, batch] of batches.entries()) {
+    if (i >= maxPasses) {
+      for (const f of batch) skipped.push({ path: f.path, reason: "pass limit reached" });
+      continue;
+    }
+
+    const result = await callHarmonizerLlm(llm, {
+      owner,
+      repo,
+      baseBranch,
+      note,
+      files: batch,
+      styleSummary,
+      pass: { index: i + 1, total: Math.min(batches.length, maxPasses) }
+    }, policy);
+
+    if (result.summary) summaries.push(result.summary);
+    if (result.style) styleSummary = result.style;
+    rejected.push(...result.rejected);
+
+    for (const file of result.files) {
+      const reason = unwritableReason(file, writable, locked);
+      if (reason) {
+        skipped.push({ path: file.path, reason });
+        continue;
+      }
+      merged.set(file.path, file);
+    }
+  }
+
+  return {
+    summary: summaries.join("\n\n") || null,
+    style: styleSummary || null,
+    passes: Math.min(batches.length, maxPasses),
+    llm: { provider: llm.provider, model: llm.model },
+    skipped,
+    rejected,
+    files: [...merged.values()]
+  };
+}
+
+// Why a returned file may not be written, or null. Known paths must have
+// been sent in full; a path the run never saw is a new file, which can be
+// created but not deleted or renamed from.
+function unwritableReason(file, writable, locked) {
+  const source = file.from ?? file.path;
+  if (locked.has(source)) return "source was not sent in full";
+  if (file.path !== source && locked.has(file.path)) return "rename target was not sent in full";
+  if (!writable.has(source) && (file.from != null || file.action === "delete")) {
+    return "not among the files sent to the model";
+  }
+  return null;
+}
+
+// ======================================================================
+// LLM HARMONIZER CALL
+// ======================================================================
+
+async function callHarmonizerLlm(llm, payload, policy) {
+  const { owner, repo, baseBranch, note, files, styleSummary, pass } = payload;
+
+  const listText = files
+    .map(f => `--- FILE: ${f.path}${f.truncated ? " (TRUNCATED – read-only, do not return)" : ""}\n${f.content}`)
+    .join("\n\n");
+
+  const systemPrompt = `
+You are ASA HARMONIZER ENGINE.
+Unify, refactor, improve consistency without breaking code intent.
+Return JSON strictly like:
+
+{
+  "summary": "short summary",
+  "files": [
+    { "path": "...", "content": "...", "rationale": "..." }
+  ]
+}
+
+To create a file return it with its new path and full content, like a changed file.
+To delete a file use { "path": "...", "action": "delete", "rationale": "..." }.
+To move a file use { "path": "new/path", "from": "old/path", "content": "...", "rationale": "..." }.
+
+Files are sent in several passes. Add a "style" field with a compact summary of
+the conventions you applied; it is handed to the next pass so all passes agree.
+Only return files you changed. Never return files marked TRUNCATED.
+`;
+
+  const userPrompt = `
+Repo: ${owner}/${repo}
+Branch: ${baseBranch}
+Mission: ${note}
+Pass: ${pass ? `${pass.index}/${pass.total}` : "1/1"}
+${styleSummary ? `\nStyle decisions from previous passes (follow them):\n${styleSummary}\n` : ""}
+Files:
+${listText}
+`;
+
+  const mock = { mock: () => mockHarmonizerReply(files) };
+  const { text } = await chatComplete(llm, { system: systemPrompt, user: userPrompt, json: true }, mock);
+
+  const checked = validateHarmonizerReply(text, policy);
+  if (!checked.errors.length) return checked;
+
+  // One repair round: show the model its own reply and what was wrong with it
+  console.warn("Harmonizer reply failed validation, asking for repair:", checked.errors);
+  const repair = await chatComplete(llm, {
+    system: systemPrompt,
+    user: buildRepairPrompt(text, checked.errors),
+    json: true
+  }, mock);
+
+  const repaired = validateHarmonizerReply(repair.text, policy);
+  if (repaired.fatal) {
+    throw new Error(`Harmonizer reply invalid after repair: ${repaired.errors.join("; ")}`);
+  }
+  return repaired;
+}
+
+function buildRepairPrompt(previousReply, errors) {
+  return `
+Your previous reply did not match the required JSON schema.
+
+Problems:
+${errors.map(e => `- ${e}`).join("\n")}
+
+Previous reply:
+${previousReply.slice(0, 40000)}
+
+Return the corrected JSON object only, using exactly the schema from the instructions.
+`;
+}
+
+// ======================================================================
+// HARMONIZER OUTPUT VALIDATION
+// ======================================================================
+
+// Paths the harmonizer may never write, whatever the request says (glob syntax)
+const PROTECTED_PATHS = [
+  ".github/workflows/**",
+  ".github/actions/**",
+  ".git/**",
+  ".gitmodules",
+  ".env",
+  ".env.*",
+  "*.pem",
+  "*.key",
+  "wrangler.toml"
+];
+
+/**
+ * Path policy for one request: a file must pass the request's own
+ * include / exclude / extension selection and must not hit the protected
+ * denylist (PROTECTED_PATHS + comma separated env.HARMONIZER_PROTECTED_PATHS).
+ */
+export function buildPathPolicy(env, selection) {
+  const denylist = [...PROTECTED_PATHS, ...splitPatternList(env.HARMONIZER_PROTECTED_PATHS)];
+  const isProtected = denylist.map(rule => ({ rule, match: createPathMatcher([rule]) }));
+
+  return {
+    inScope: createPathFilter(selection),
+    protectedBy: path => isProtected.find(p => p.match(path))?.rule || null
+  };
+}
+
+function isSafeRepoPath(path) {
+  return (
+    typeof path === "string" &&
+    path.length > 0 &&
+    !path.startsWith("/") &&
+    !path.includes("\\") &&
+    !path.includes("\0") &&
+    path.split("/").every(seg => seg && seg !== "." && seg !== "..")
+  );
+}
+
+/**
+ * Validates a raw harmonizer reply against
+ *   { summary?: string, style?: string, files: [{ path, content, rationale?, action?, from? }] }
+ *
+ * Returns { fatal, errors, summary, style, files, rejected }:
+ *   errors   – schema problems worth a repair round
+ *   fatal    – nothing usable (bad JSON / no files array)
+ *   rejected – every dropped file with its reason (schema or policy)
+ */
+function validateHarmonizerReply(text, policy) {
+  const errors = [];
+  const rejected = [];
+  const files = [];
+
+  let raw;
+  try {
+    raw = extractJson(text);
+  } catch (err) {
+    errors.push(`reply is not valid JSON (${err.message})`);
+    return { fatal: true, errors, summary: null, style: null, files, rejected };
+  }
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push("reply must be a JSON object");
+    return { fatal: true, errors, summary: null, style: null, files, rejected };
+  }
+  if (!Array.isArray(raw.files)) {
+    errors.push(`"files" must be an array`);
+    return { fatal: true, errors, summary: null, style: null, files, rejected };
+  }
+  if (raw.summary != null && typeof raw.summary !== "string") errors.push(`"summary" must be a string`);
+  if (raw.style != null && typeof raw.style !== "string") errors.push(`"style" must be a string`);
+
+  const seen = new Set();
+  raw.files.forEach((file, i) => {
+    const label = typeof file?.path === "string" ? file.path : `files[${i}]`;
+    const reject = (reason, schema) => {
+      rejected.push({ path: label, reason });
+      if (schema) errors.push(`${label}: ${reason}`);
+    };
+
+    if (!file || typeof file !== "object") return reject("entry must be an object", true);
+    if (!isSafeRepoPath(file.path)) return reject("invalid path", true);
+
+    const action = file.action ?? "upsert";
+    if (!["upsert", "update", "create", "delete", "rename"].includes(action)) {
+      return reject(`unknown action "${action}"`, true);
+    }
+    if (file.from != null && !isSafeRepoPath(file.from)) return reject(`invalid "from" path`, true);
+    if (action === "rename" && file.from == null) return reject(`rename needs "from"`, true);
+    if (action !== "delete" && action !== "rename" && typeof file.content !== "string") {
+      return reject(`"content" must be a string`, true);
+    }
+    if (file.content != null && typeof file.content !== "string") return reject(`"content" must be a string`, true);
+    if (file.rationale != null && typeof file.rationale !== "string") return reject(`"rationale" must be a string`, true);
+
+    for (const p of [file.path, file.from].filter(Boolean)) {
+      const rule = policy.protectedBy(p);
+      if (rule) return reject(`${p} is protected (${rule})`, false);
+      if (!policy.inScope(p)) return reject(`${p} is outside the requested paths`, false);
+    }
+    if (seen.has(file.path)) return reject("duplicate path in reply", false);
+    seen.add(file.path);
+
+    files.push({
+      path: file.path,
+      ...(file.from != null ? { from: file.from } : {}),
+      ...(action === "delete" || action === "rename" ? { action } : {}),
+      ...(file.content != null ? { content: file.content } : {}),
+      rationale: file.rationale || null
+    });
+  });
+
+  return {
+    fatal: false,
+    errors,
+    summary: typeof raw.summary === "string" ? raw.summary : null,
+    style: typeof raw.style === "string" ? raw.style : null,
+    files,
+    rejected
+  };
+}
+
+/**
+ * Deterministic stand-in for the model (LLM_PROVIDER=mock): strips trailing
+ * whitespace and ensures a final newline, returning only files it changed.
+ */
+function mockHarmonizerReply(files) {
+  const changed = [];
+  for (const f of files) {
+    if (f.truncated) continue;
+    const content = f.content.replace(/[ \t]+$/gm, "").replace(/\n*$/, "\n");
+    if (content !== f.content) {
+      changed.push({ path: f.path, content, rationale: "mock: normalized trailing whitespace" });
+    }
+  }
+
+  return JSON.stringify({
+    summary: `mock harmonizer: ${changed.length} file(s) normalized`,
+    style: "trailing whitespace stripped, final newline enforced",
+    files: changed
+  });
+}
+
+// ======================================================================
+// HELPERS
+// ======================================================================
+
+export function base64encode(str) {
+  return utf8ToBase64(str);
+}
@@ -0,0 +1,177 @@
+// ======================================================================
+// ASA SHARED – LLM PROVIDER LAYER
+// openai (any OpenAI-compatible base URL) · anthropic (messages API) · mock
+// ======================================================================
+//
+// Env vars (all optional, per-request overrides win):
+//   LLM_PROVIDER        "openai" | "anthropic" | "mock"   (default: openai)
+//   LLM_MODEL           model for whichever provider is active
+//   OPENAI_API_BASE     default https://api.openai.com/v1
+//   OPENAI_MODEL        default gpt-4.1-mini
+//   OPENAI_API_KEY
+//   ANTHROPIC_API_BASE  default https://api.anthropic.com
+//   ANTHROPIC_MODEL     default claude-sonnet-4-5
+//   ANTHROPIC_API_KEY
+
+const PROVIDERS = {
+  openai: {
+    baseUrl: env => env.OPENAI_API_BASE || "https://api.openai.com/v1",
+    model: env => env.OPENAI_MODEL || "gpt-4.1-mini",
+    apiKey: env => env.OPENAI_API_KEY,
+    call: callOpenAICompatible
+  },
+  anthropic: {
+    baseUrl: env => env.ANTHROPIC_API_BASE || "https://api.anthropic.com",
+    model: env => env.ANTHROPIC_MODEL || "claude-sonnet-4-5",
+    apiKey: env => env.ANTHROPIC_API_KEY,
+    call: callAnthropicMessages
+  },
+  mock: {
+    baseUrl: () => "mock://local",
+    model: () => "mock-1",
+    apiKey: () => "mock",
+    call: callMock
+  }
+};
+
+/**
+ * Resolves which provider / model to use.
+ * `overrides` comes from the request body: { provider, model }.
+ */
+export function resolveLlmConfig(env, overrides = {}) {
+  const name = String(overrides.provider || env.LLM_PROVIDER || "openai").toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name} (expected ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+
+  const config = {
+    provider: name,
+    model: overrides.model || env.LLM_MODEL || provider.model(env),
+    baseUrl: provider.baseUrl(env).replace(/\/+$/, ""),
+    apiKey: provider.apiKey(env)
+  };
+
+  if (!config.apiKey) {
+    throw new Error(`Missing API key for LLM provider "${name}"`);
+  }
+  return config;
+}
+
+/**
+ * One chat turn against the configured provider.
+ *
+ * request: { system, user, json?, temperature?, maxTokens? }
+ * options: { mock?: (request, config) => string }  – deterministic responder
+ *          used by the mock provider instead of the generic echo
+ *
+ * Returns { text, provider, model }.
+ */
+export async function chatComplete(config, request, options = {}) {
+  const text = await PROVIDERS[config.provider].call(config, request, options);
+  return { text, provider: config.provider, model: config.model };
+}
+
+/**
+ * Pulls the first JSON object out of a model reply. Providers without a
+ * native JSON mode sometimes wrap it in prose or ``` fences.
+ */
+export function extractJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (_) {}
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) throw new Error("LLM reply contains no JSON object");
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+// ======================================================================
+// PROVIDERS
+// ======================================================================
+
+async function callOpenAICompatible(config, { system, user, json, temperature, maxTokens }) {
+  const res = await fetch(`${config.baseUrl}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${config.apiKey}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      model: config.model,
+      ...(json ? { response_format: { type: "json_object" } } : {}),
+      ...(temperature != null ? { temperature } : {}),
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      messages: [
+        ...(system ? [{ role: "system", content: system }] : []),
+        { role: "user", content: user }
+      ]
+    })
+  });
+
+  if (!res.ok) {
+    const t = await res.text();
+    throw new Error(`OpenAI Error: ${res.status} ${t}`);
+  }
+
+  const data = await res.json();
+  const content = data.choices?.[0]?.message?.content;
+  if (content == null) throw new Error("OpenAI Error: empty completion");
+  return String(content);
+}
+
+async function callAnthropicMessages(config, { system, user, json, temperature, maxTokens }) {
+  const res = await fetch(`${config.baseUrl}/v1/messages`, {
+    method: "POST",
+    headers: {
+      "x-api-key": config.apiKey,
+      "anthropic-version": "2023-06-01",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      model: config.model,
+      max_tokens: maxTokens || 8192,
+      ...(temperature != null ? { temperature } : {}),
+      ...(system || json
+        ? { system: [system, json ? "Respond with a single JSON object and nothing else." : ""].filter(Boolean).join("\n\n") }
+        : {}),
+      messages: [{ role: "user", content: user }]
+    })
+  });
+
+  if (!res.ok) {
+    const t = await res.text();
+    throw new Error(`Anthropic Error: ${res.status} ${t}`);
+  }
+
+  const data = await res.json();
+  const text = (data.content || [])
+    .filter(block => block.type === "text")
+    .map(block => block.text)
+    .join("");
+  if (!text) throw new Error("Anthropic Error: empty completion");
+  return text;
+}
+
+/**
+ * Deterministic local provider: no network, same input → same output.
+ * Callers pass a domain-specific responder via `options.mock`; without one
+ * it echoes a stable digest of the prompt.
+ */
+async function callMock(config, request, options) {
+  if (options.mock) return String(await options.mock(request, config));
+
+  const digest = stableHash(`${request.system || ""}\n${request.user}`);
+  if (request.json) return JSON.stringify({ mock: true, digest });
+  return `[mock:${config.model}] ${digest}`;
+}
+
+function stableHash(str) {
+  // FNV-1a, 32 bit
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
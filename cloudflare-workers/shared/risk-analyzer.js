@@ -0,0 +1,163 @@
+// ======================================================================
+// ASA SHARED – DIFF RISK ANALYZER (ASA Aurora DevOps Analyzer v2)
+// unified diff → LLM → schema-checked risk / impact / scores
+// ======================================================================
+//
+// Reply schema (validated, one repair round like the harmonizer):
+//   {
+//     "risk": "low" | "medium" | "high" | "critical",
+//     "impact": string,
+//     "deployment_notes": string,
+//     "recommended_actions": [string],
+//     "complexity_score": 0-100,   // how hard the change is to reason about
+//     "stability_score": 0-100     // how safe it is to ship as-is
+//   }
+//
+// Provider / model come from the shared LLM layer (LLM_PROVIDER, …); the
+// mock provider scores the diff with a size heuristic so pipelines can run
+// without a key.
+
+import { resolveLlmConfig, chatComplete, extractJson } from "./llm-provider.js";
+
+export const RISK_LEVELS = ["low", "medium", "high", "critical"];
+const DEFAULT_MAX_DIFF_CHARS = 60_000;
+
+const SYSTEM_PROMPT = "You are ASA Aurora DevOps Analyzer v2.";
+
+/**
+ * Scores one unified diff.
+ * options: { provider, model, maxChars }
+ *
+ * Returns { analysis, llm: { provider, model }, truncated, repaired }.
+ * Throws when the provider fails or the reply is still invalid after the
+ * repair round.
+ */
+export async function openAiDiffRefined(env, diffText, { provider, model, maxChars = DEFAULT_MAX_DIFF_CHARS } = {}) {
+  const llm = resolveLlmConfig(env, { provider, model });
+  const truncated = diffText.length > maxChars;
+  const diff = truncated ? diffText.slice(0, maxChars) + "\n...[truncated]" : diffText;
+
+  const prompt = `
+You are ASA Aurora GPT.
+You analyze code diffs for a Multi-Sync CI/CD engine.
+
+Return a structured JSON object with exactly these fields:
+- "risk": one of ${RISK_LEVELS.map(l => `"${l}"`).join(", ")}
+- "impact": short description of what the change affects
+- "deployment_notes": what to watch when this goes live
+- "recommended_actions": array of short strings
+- "complexity_score": integer 0-100 (100 = very hard to reason about)
+- "stability_score": integer 0-100 (100 = safe to ship as-is)
+${truncated ? "\nThe diff was truncated; score what you can see and say so in \"impact\".\n" : ""}
+Input diff:
+${diff}
+`;
+
+  const mock = { mock: () => mockRiskReply(diff) };
+  const { text } = await chatComplete(llm, { system: SYSTEM_PROMPT, user: prompt, json: true, temperature: 0.1 }, mock);
+
+  const checked = validateRiskReply(text);
+  if (!checked.errors.length) {
+    return { analysis: checked.analysis, llm: { provider: llm.provider, model: llm.model }, truncated, repaired: false };
+  }
+
+  console.warn("Risk analyzer reply failed validation, asking for repair:", checked.errors);
+  const repair = await chatComplete(llm, {
+    system: SYSTEM_PROMPT,
+    user: `
+Your previous reply did not match the required JSON schema.
+
+Problems:
+${checked.errors.map(e => `- ${e}`).join("\n")}
+
+Previous reply:
+${text.slice(0, 20000)}
+
+Return the corrected JSON object only, with the fields risk, impact,
+deployment_notes, recommended_actions, complexity_score, stability_score.
+`,
+    json: true,
+    temperature: 0
+  }, mock);
+
+  const repaired = validateRiskReply(repair.text);
+  if (repaired.errors.length) {
+    throw new Error(`Risk analysis invalid after repair: ${repaired.errors.join("; ")}`);
+  }
+  return { analysis: repaired.analysis, llm: { provider: llm.provider, model: llm.model }, truncated, repaired: true };
+}
+
+/**
+ * Checks a raw reply against the schema above.
+ * Returns { errors, analysis } – `analysis` is null when anything is wrong.
+ */
+export function validateRiskReply(text) {
+  const errors = [];
+
+  let raw;
+  try {
+    raw = extractJson(text);
+  } catch (err) {
+    return { errors: [`reply is not valid JSON (${err.message})`], analysis: null };
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { errors: ["reply must be a JSON object"], analysis: null };
+  }
+
+  const risk = typeof raw.risk === "string" ? raw.risk.trim().toLowerCase() : null;
+  if (!RISK_LEVELS.includes(risk)) errors.push(`"risk" must be one of ${RISK_LEVELS.join(", ")}`);
+
+  for (const field of ["impact", "deployment_notes"]) {
+    if (typeof raw[field] !== "string" || !raw[field].trim()) errors.push(`"${field}" must be a non-empty string`);
+  }
+
+  const actions = raw.recommended_actions;
+  if (!Array.isArray(actions) || actions.some(a => typeof a !== "string")) {
+    errors.push(`"recommended_actions" must be an array of strings`);
+  }
+
+  for (const field of ["complexity_score", "stability_score"]) {
+    const value = raw[field];
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0 || value > 100) {
+      errors.push(`"${field}" must be a number between 0 and 100`);
+    }
+  }
+
+  if (errors.length) return { errors, analysis: null };
+  return {
+    errors,
+    analysis: {
+      risk,
+      impact: raw.impact.trim(),
+      deployment_notes: raw.deployment_notes.trim(),
+      recommended_actions: actions.map(a => a.trim()).filter(Boolean),
+      complexity_score: Math.round(raw.complexity_score),
+      stability_score: Math.round(raw.stability_score)
+    }
+  };
+}
+
+/**
+ * Deterministic stand-in for the mock provider: the more lines and files
+ * a diff touches (deletions weigh double), the lower the stability.
+ */
+function mockRiskReply(diff) {
+  const lines = diff.split("\n");
+  const added = lines.filter(l => l.startsWith("+") && !l.startsWith("+++")).length;
+  const removed = lines.filter(l => l.startsWith("-") && !l.startsWith("---")).length;
+  const files = lines.filter(l => l.startsWith("+++ ")).length;
+  const deleted = lines.filter(l => l === "+++ /dev/null").length;
+
+  const complexity = Math.min(100, Math.round((added + 2 * removed) / 4 + files * 3));
+  const stability = Math.max(0, Math.min(100, 100 - Math.round(complexity * 0.7) - deleted * 10));
+  const risk = stability >= 75 ? "low" : stability >= 50 ? "medium" : stability >= 25 ? "high" : "critical";
+
+  return JSON.stringify({
+    risk,
+    impact: `mock: ${files} file(s), +${added} / -${removed} line(s)`,
+    deployment_notes: "mock analysis – size heuristic only",
+    recommended_actions: deleted ? ["double-check the deleted files"] : [],
+    complexity_score: complexity,
+    stability_score: stability
+  });
+}
@@ -0,0 +1,294 @@
+// ======================================================================
+// ASA SHARED – SUPRAVISION SIGNAL COLLECTORS
+// Cloudflare analytics + tail events, GitHub Actions, Base44 health → SVSignal
+// ======================================================================
+//
+// SVSignal (see ASA SupraVision V1):
+//   { source, latency?, errorRate?, cpu?, memory?, throughput?, missing?, timestamp }
+//
+// Units, the same for every collector:
+//   latency     ms  (p50 wall time / median run duration / health round trip)
+//   errorRate   0-1
+//   cpu         % of SV_CPU_BUDGET_MS (p50 CPU time, Workers only)
+//   throughput  events per minute over the window
+//
+// A source that is configured but cannot be read yields { source, missing: true }
+// so the ghost-data reconstruction fills it in; an unconfigured source yields
+// nothing at all.
+//
+// Env:
+//   CF_API_TOKEN, CF_ACCOUNT_ID     token with Account Analytics: Read
+//   SV_WORKER_SCRIPTS               comma separated Worker script names
+//   SV_CPU_BUDGET_MS                CPU time that counts as 100% (default 50)
+//   SV_GITHUB_WINDOW_HOURS          Actions runs looked at (default 24)
+//   GITHUB_TOKEN, GITHUB_OWNER, GITHUB_REPO
+//   BASE44_API_URL (+ BASE44_API_KEY)
+
+import { createGitHubClient } from "./github.js";
+import { base44Health } from "./base44.js";
+
+const CF_GRAPHQL = "https://api.cloudflare.com/client/v4/graphql";
+const DEFAULT_WINDOW_MS = 5 * 60_000;
+const ANALYTICS_LAG_MS = 60_000;   // Workers analytics trail real time by about a minute
+const DEFAULT_CPU_BUDGET_MS = 50;
+const DEFAULT_GITHUB_WINDOW_HOURS = 24;
+const FAILED_CONCLUSIONS = ["failure", "timed_out", "startup_failure"];
+const IGNORED_CONCLUSIONS = ["cancelled", "skipped", "neutral", "stale"];
+
+/**
+ * Runs every pull collector (analytics, Actions, Base44) side by side.
+ * options: { windowMs, now }
+ * Never throws – a failing collector shows up as missing samples.
+ */
+export async function collectSignals(env, { windowMs = DEFAULT_WINDOW_MS, now = Date.now() } = {}) {
+  const collectors = [
+    ["cf", () => collectWorkerAnalytics(env, { windowMs, now })],
+    ["github:actions", () => collectGithubActions(env, { now })],
+    ["base44:health", () => collectBase44Health(env, { now })]
+  ];
+
+  const settled = await Promise.allSettled(collectors.map(([, collect]) => collect()));
+  return settled.flatMap((outcome, i) => {
+    if (outcome.status === "fulfilled") return outcome.value;
+    const [source] = collectors[i];
+    console.warn(`SupraVision collector ${source} failed:`, outcome.reason?.message || outcome.reason);
+    return source === "cf"
+      ? workerScripts(env).map(script => missing(`cf:${script}`, now))
+      : [missing(source, now)];
+  });
+}
+
+// ======================================================================
+// CLOUDFLARE – WORKERS ANALYTICS (GraphQL)
+// ======================================================================
+
+const WORKERS_QUERY = `
+query ($accountTag: string!, $since: Time!, $until: Time!, $scripts: [string!]) {
+  viewer {
+    accounts(filter: { accountTag: $accountTag }) {
+      workersInvocationsAdaptive(
+        limit: 100
+        filter: { datetime_geq: $since, datetime_leq: $until, scriptName_in: $scripts }
+      ) {
+        dimensions { scriptName }
+        sum { requests errors }
+        quantiles { cpuTimeP50 wallTimeP50 }
+      }
+    }
+  }
+}`;
+
+/**
+ * One signal per SV_WORKER_SCRIPTS entry (source "cf:<script>") for the
+ * last `windowMs`. Scripts without traffic in the window report
+ * throughput 0 and no latency / cpu.
+ */
+export async function collectWorkerAnalytics(env, { windowMs = DEFAULT_WINDOW_MS, now = Date.now() } = {}) {
+  const scripts = workerScripts(env);
+  if (!scripts.length || !env.CF_API_TOKEN || !env.CF_ACCOUNT_ID) return [];
+
+  const until = now - ANALYTICS_LAG_MS;
+  const res = await fetch(CF_GRAPHQL, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${env.CF_API_TOKEN}`, "content-type": "application/json" },
+    body: JSON.stringify({
+      query: WORKERS_QUERY,
+      variables: {
+        accountTag: env.CF_ACCOUNT_ID,
+        since: new Date(until - windowMs).toISOString(),
+        until: new Date(until).toISOString(),
+        scripts
+      }
+    })
+  });
+  const body = await res.json().catch(() => null);
+  if (!res.ok || body?.errors?.length) {
+    throw new Error(`Workers analytics query failed: ${res.status} ${body?.errors?.[0]?.message || ""}`.trim());
+  }
+
+  // adaptive groups can split one script over several rows – weight by requests
+  const totals = new Map(scripts.map(s => [s, { requests: 0, errors: 0, wallUs: 0, cpuUs: 0 }]));
+  for (const row of body?.data?.viewer?.accounts?.[0]?.workersInvocationsAdaptive || []) {
+    const t = totals.get(row.dimensions?.scriptName);
+    if (!t) continue;
+    const requests = row.sum?.requests || 0;
+    t.requests += requests;
+    t.errors += row.sum?.errors || 0;
+    t.wallUs += (row.quantiles?.wallTimeP50 || 0) * requests;
+    t.cpuUs += (row.quantiles?.cpuTimeP50 || 0) * requests;
+  }
+
+  const budgetMs = Number(env.SV_CPU_BUDGET_MS) || DEFAULT_CPU_BUDGET_MS;
+  return scripts.map(script => {
+    const t = totals.get(script);
+    return {
+      source: `cf:${script}`,
+      throughput: round(t.requests / (windowMs / 60_000)),
+      ...(t.requests
+        ? {
+          errorRate: round(t.errors / t.requests, 4),
+          latency: round(t.wallUs / t.requests / 1000),
+          cpu: round((t.cpuUs / t.requests / 1000 / budgetMs) * 100)
+        }
+        : {}),
+      timestamp: now
+    };
+  });
+}
+
+// ======================================================================
+// CLOUDFLARE – TAIL EVENTS
+// ======================================================================
+//
+// tail() receives a handful of TraceItems at a time, so they are only
+// summed here (per script); the sample store turns the window into one
+// signal per script ("tail:<script>") on its next collection.
+//
+// window = { since, scripts: { [name]: { events, errors, wallMs, timed, cpuMs, cpuTimed } } }
+
+/**
+ * TraceItem[] → window. An event counts as an error when it did not end
+ * "ok", threw, answered 5xx or logged at error level.
+ */
+export function summarizeTailEvents(events, now = Date.now()) {
+  const window = { since: now, scripts: {} };
+  for (const item of events || []) {
+    const name = item.scriptName || "unknown";
+    const s = (window.scripts[name] ||= { events: 0, errors: 0, wallMs: 0, timed: 0, cpuMs: 0, cpuTimed: 0 });
+    s.events++;
+
+    const status = item.event?.response?.status;
+    const failed =
+      (item.outcome && item.outcome !== "ok") ||
+      item.exceptions?.length > 0 ||
+      (typeof status === "number" && status >= 500) ||
+      (item.logs || []).some(l => l.level === "error");
+    if (failed) s.errors++;
+
+    if (typeof item.wallTime === "number") {
+      s.wallMs += item.wallTime;
+      s.timed++;
+    }
+    if (typeof item.cpuTime === "number") {
+      s.cpuMs += item.cpuTime;
+      s.cpuTimed++;
+    }
+  }
+  return window;
+}
+
+export function mergeTailWindows(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const scripts = { ...a.scripts };
+  for (const [name, s] of Object.entries(b.scripts)) {
+    const t = scripts[name];
+    scripts[name] = t
+      ? Object.fromEntries(Object.keys(s).map(key => [key, (t[key] || 0) + s[key]]))
+      : { ...s };
+  }
+  return { since: Math.min(a.since, b.since), scripts };
+}
+
+export function tailWindowToSignals(window, env = {}, now = Date.now()) {
+  if (!window) return [];
+  const minutes = Math.max(60_000, now - window.since) / 60_000;
+  const budgetMs = Number(env.SV_CPU_BUDGET_MS) || DEFAULT_CPU_BUDGET_MS;
+  return Object.entries(window.scripts).map(([name, s]) => ({
+    source: `tail:${name}`,
+    throughput: round(s.events / minutes),
+    errorRate: s.events ? round(s.errors / s.events, 4) : 0,
+    ...(s.timed ? { latency: round(s.wallMs / s.timed) } : {}),
+    ...(s.cpuTimed ? { cpu: round((s.cpuMs / s.cpuTimed / budgetMs) * 100) } : {}),
+    timestamp: now
+  }));
+}
+
+// ======================================================================
+// GITHUB ACTIONS
+// ======================================================================
+
+/**
+ * Completed workflow runs of the last SV_GITHUB_WINDOW_HOURS → one
+ * "github:actions" signal: median run duration, failure rate (cancelled /
+ * skipped runs left out), runs per minute.
+ */
+export async function collectGithubActions(env, { now = Date.now() } = {}) {
+  if (!env.GITHUB_TOKEN || !env.GITHUB_OWNER || !env.GITHUB_REPO) return [];
+
+  const gh = createGitHubClient({
+    token: env.GITHUB_TOKEN,
+    owner: env.GITHUB_OWNER,
+    repo: env.GITHUB_REPO,
+    userAgent: "ASA-SupraVision",
+    maxRateLimitWaitMs: 0
+  });
+  const windowMs = (Number(env.SV_GITHUB_WINDOW_HOURS) || DEFAULT_GITHUB_WINDOW_HOURS) * 3_600_000;
+  const since = new Date(now - windowMs).toISOString();
+  const out = await gh.request(
+    "GET",
+    `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/runs?status=completed&per_page=100&created=${encodeURIComponent(">=" + since)}`
+  );
+
+  const runs = (out.workflow_runs || []).filter(r => !IGNORED_CONCLUSIONS.includes(r.conclusion));
+  const durations = runs
+    .map(r => Date.parse(r.updated_at) - Date.parse(r.run_started_at || r.created_at))
+    .filter(ms => Number.isFinite(ms) && ms >= 0);
+
+  return [{
+    source: "github:actions",
+    throughput: round(runs.length / (windowMs / 60_000), 4),
+    ...(runs.length ? { errorRate: round(runs.filter(r => FAILED_CONCLUSIONS.includes(r.conclusion)).length / runs.length, 4) } : {}),
+    ...(durations.length ? { latency: median(durations) } : {}),
+    timestamp: now
+  }];
+}
+
+// ======================================================================
+// BASE44 HEALTH
+// ======================================================================
+
+/**
+ * Times GET /health. Numeric cpu / memory in the answer are passed on.
+ */
+export async function collectBase44Health(env, { now = Date.now() } = {}) {
+  if (!env.BASE44_API_URL) return [];
+
+  const started = Date.now();
+  const health = await base44Health(env);
+  const latency = Date.now() - started;
+  if (health.status === 0) return [missing("base44:health", now)]; // unreachable
+
+  const body = health.body || {};
+  return [{
+    source: "base44:health",
+    latency,
+    errorRate: health.ok ? 0 : 1,
+    ...(typeof body.cpu === "number" ? { cpu: body.cpu } : {}),
+    ...(typeof body.memory === "number" ? { memory: body.memory } : {}),
+    timestamp: now
+  }];
+}
+
+// ======================================================================
+// HELPERS
+// ======================================================================
+
+function workerScripts(env) {
+  return String(env.SV_WORKER_SCRIPTS || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+function missing(source, now) {
+  return { source, missing: true, timestamp: now };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function round(value, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
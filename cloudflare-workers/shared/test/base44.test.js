@@ -0,0 +1,149 @@
+// The local Base44 stand-in (BASE44_API_URL=local://base44) answers the
+// same wire format as the real API, so the bridge functions are tested
+// against it end to end – no network.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  isLocalBase44,
+  base44RefinedSync,
+  base44Export,
+  base44ListEntities,
+  base44UpdateEntity,
+  base44Health
+} from "../base44.js";
+import { zipFiles } from "../zip.js";
+
+function fakeKv() {
+  const data = new Map();
+  return {
+    data,
+    get: async key => data.get(key) ?? null,
+    put: async (key, value) => void data.set(key, value)
+  };
+}
+
+function localEnv() {
+  return { BASE44_API_URL: "local://base44", ASA_STATE: fakeKv() };
+}
+
+test("only local:// URLs select the stand-in", () => {
+  assert.equal(isLocalBase44({ BASE44_API_URL: "local://base44" }), true);
+  assert.equal(isLocalBase44({ BASE44_API_URL: "https://base44.app/api/apps/x" }), false);
+  assert.equal(isLocalBase44({}), false);
+});
+
+test("the stand-in never calls fetch", async t => {
+  const fetchMock = t.mock.method(globalThis, "fetch", async () => {
+    throw new Error("network used");
+  });
+  const env = localEnv();
+  await base44RefinedSync(env, { commit: "c1", files: [{ path: "a.txt", content: "a" }] });
+  await base44Export(env);
+  await base44Health(env);
+  assert.equal(fetchMock.mock.callCount(), 0);
+});
+
+test("an empty project exports version 0", async () => {
+  assert.deepEqual(await base44Export(localEnv()), { version: 0, commit: null, files: [] });
+});
+
+test("JSON imports bump the version and export back verbatim", async () => {
+  const env = localEnv();
+  const files = [
+    { path: "src/app.js", content: "export const x = 1;\n" },
+    { path: "logo.png", content: "iVBORw0KGgo=", encoding: "base64" }
+  ];
+
+  const first = await base44RefinedSync(env, { commit: "c1", files });
+  assert.equal(first.ok, true);
+  assert.deepEqual(
+    { version: first.body.version, imported: first.body.imported, stub: first.body.stub },
+    { version: 1, imported: 2, stub: true }
+  );
+
+  const second = await base44RefinedSync(env, { commit: "c2", files: files.slice(0, 1) });
+  assert.equal(second.body.version, 2);
+
+  const exported = await base44Export(env);
+  assert.equal(exported.version, 2);
+  assert.equal(exported.commit, "c2");
+  assert.deepEqual(exported.files, files.slice(0, 1));
+});
+
+test("ZIP imports are unpacked into the same file map", async () => {
+  const env = localEnv();
+  const zip = await zipFiles([
+    { path: "README.md", content: "# hi\n" },
+    { path: "bin/blob", content: "AAEC/w==", encoding: "base64" }
+  ]);
+
+  const result = await base44RefinedSync(env, zip);
+  assert.equal(result.ok, true);
+  assert.equal(result.body.imported, 2);
+
+  const { files } = await base44Export(env);
+  assert.deepEqual(files, [
+    { path: "README.md", content: "# hi\n" },
+    { path: "bin/blob", content: "AAEC/w==", encoding: "base64" }
+  ]);
+});
+
+test("bad payloads are refused with the API's status codes, not thrown", async () => {
+  const env = localEnv();
+
+  const badZip = await base44RefinedSync(env, new Uint8Array([1, 2, 3]));
+  assert.equal(badZip.ok, false);
+  assert.equal(badZip.status, 422);
+  assert.match(badZip.body.error, /invalid ZIP/);
+
+  const badFiles = await base44RefinedSync(env, { files: [{ path: "a" }] });
+  assert.equal(badFiles.status, 422);
+
+  // nothing was stored
+  assert.equal((await base44Export(env)).version, 0);
+});
+
+test("entities are read from what was seeded into KV", async () => {
+  const env = localEnv();
+  assert.deepEqual(await base44ListEntities(env, "SyncConfig"), []);
+
+  const records = [{ id: "1", enabled: true, interval_minutes: 10 }];
+  env.ASA_STATE.data.set("base44:local:entities:SyncConfig", JSON.stringify(records));
+  assert.deepEqual(await base44ListEntities(env, "SyncConfig"), records);
+});
+
+test("an entity update patches only the given fields of one record", async () => {
+  const env = localEnv();
+  const records = [
+    { id: 1, enabled: true, interval_minutes: 10 },
+    { id: 2, enabled: false, interval_minutes: 30 }
+  ];
+  env.ASA_STATE.data.set("base44:local:entities:SyncConfig", JSON.stringify(records));
+
+  const updated = await base44UpdateEntity(env, "SyncConfig", "1", { interval_minutes: 20, id: 99 });
+  assert.deepEqual(updated, { id: 1, enabled: true, interval_minutes: 20 });
+  assert.deepEqual(await base44ListEntities(env, "SyncConfig"), [updated, records[1]]);
+
+  await assert.rejects(base44UpdateEntity(env, "SyncConfig", "3", { enabled: true }), /SyncConfig 3 update failed: 404/);
+});
+
+test("health reports a healthy stub", async () => {
+  const health = await base44Health(localEnv());
+  assert.equal(health.ok, true);
+  assert.deepEqual(health.body, { ok: true, status: "healthy", stub: true });
+});
+
+test("without KV the project lives in isolate memory", async () => {
+  const env = { BASE44_API_URL: "local://base44" };
+  await base44RefinedSync(env, { commit: "m1", files: [{ path: "m.txt", content: "m" }] });
+  const exported = await base44Export({ BASE44_API_URL: "local://base44" });
+  assert.equal(exported.commit, "m1");
+  assert.deepEqual(exported.files, [{ path: "m.txt", content: "m" }]);
+});
+
+test("a missing BASE44_API_URL fails loudly", async () => {
+  await assert.rejects(base44Export({}), /BASE44_API_URL is not configured/);
+  assert.equal((await base44Health({})).ok, false);
+});
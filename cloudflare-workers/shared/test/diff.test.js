@@ -0,0 +1,64 @@
+// Line diff, unified diff output and three-way merge – what the harmonizer
+// preview and the Multi-Sync conflict detection build on.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { diffLines, unifiedDiff, threeWayMerge } from "../diff.js";
+
+// the old and new side an op list describes – must be exactly a and b
+function sides(ops) {
+  const before = ops.filter(op => op.type !== "add").map(op => op.line);
+  const after = ops.filter(op => op.type !== "del").map(op => op.line);
+  return { before, after };
+}
+
+test("identical text is a no-op with no diff", () => {
+  assert.deepEqual(unifiedDiff("a\nb\n", "a\nb\n"), { diff: "", added: 0, removed: 0, noop: true });
+  assert.deepEqual(unifiedDiff("", ""), { diff: "", added: 0, removed: 0, noop: true });
+});
+
+test("a changed line comes out as a unified hunk with context", () => {
+  const result = unifiedDiff("a\nb\nc\n", "a\nB\nc\n", { fromFile: "a/x.js", toFile: "b/x.js" });
+  assert.equal(result.diff, "--- a/x.js\n+++ b/x.js\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n");
+  assert.deepEqual([result.added, result.removed, result.noop], [1, 1, false]);
+});
+
+test("dropping the final newline is a change with git's marker", () => {
+  const result = unifiedDiff("a\nb\n", "a\nb");
+  assert.equal(result.noop, false);
+  assert.equal(result.diff, "--- a\n+++ b\n@@ -1,2 +1,2 @@\n a\n-b\n+b\n\\ No newline at end of file\n");
+});
+
+test("a full rewrite of a large file stays a valid, minimal diff", () => {
+  const a = Array.from({ length: 4000 }, (_, i) => `old ${i}`);
+  const b = Array.from({ length: 4000 }, (_, i) => `new ${i}`);
+  const ops = diffLines(a, b);
+  assert.deepEqual(sides(ops), { before: a, after: b });
+  assert.equal(ops.length, 8000);
+
+  // sparse edits in the same file: only the touched lines change
+  const edited = a.map((line, i) => (i % 500 === 0 ? `edited ${i}` : line));
+  const sparse = diffLines(a, edited);
+  assert.deepEqual(sides(sparse), { before: a, after: edited });
+  assert.equal(sparse.filter(op => op.type === "add").length, 8);
+  assert.equal(sparse.filter(op => op.type === "del").length, 8);
+});
+
+test("edits on different lines merge cleanly", () => {
+  const base = "1\n2\n3\n4\n5\n";
+  assert.deepEqual(threeWayMerge(base, "1\nX\n3\n4\n5\n", "1\n2\n3\n4\nY\n"), {
+    clean: true,
+    text: "1\nX\n3\n4\nY\n",
+    conflicts: 0
+  });
+  // one side unchanged → the other side wins as is
+  assert.equal(threeWayMerge(base, base, "only theirs\n").text, "only theirs\n");
+});
+
+test("overlapping edits become a labelled conflict block", () => {
+  const result = threeWayMerge("1\n2\n3\n", "1\nX\n3\n", "1\nY\n3\n", { oursLabel: "github", theirsLabel: "base44" });
+  assert.equal(result.clean, false);
+  assert.equal(result.conflicts, 1);
+  assert.equal(result.text, "1\n<<<<<<< github\nX\n=======\nY\n>>>>>>> base44\n3\n");
+});
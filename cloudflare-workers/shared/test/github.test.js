@@ -0,0 +1,160 @@
+// GitHub client against a stubbed fetch: sha-conflict retries, rate-limit
+// backoff, which failures are retried at all, and the typed errors.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createGitHubClient,
+  GitHubError,
+  GitHubNotFoundError,
+  GitHubConflictError,
+  GitHubRateLimitError,
+  base64ToUtf8
+} from "../github.js";
+
+// answers the calls in order; each answer is a Response, an Error to throw
+// or a function of the request. Records { method, url, body }.
+function stubGitHub(t, answers) {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    calls.push({ method: init.method, url, body: init.body ? JSON.parse(init.body) : null });
+    const answer = answers.shift();
+    if (!answer) throw new Error(`unexpected request ${init.method} ${url}`);
+    if (answer instanceof Error) throw answer;
+    return typeof answer === "function" ? answer(url, init) : answer;
+  });
+  return calls;
+}
+
+function client(options = {}) {
+  const slept = [];
+  const gh = createGitHubClient({
+    token: "t",
+    owner: "o",
+    repo: "r",
+    sleep: async ms => void slept.push(ms),
+    ...options
+  });
+  return { gh, slept };
+}
+
+const json = (body, status = 200, headers = {}) => Response.json(body, { status, headers });
+
+test("putFile re-reads the sha and retries when the file moved in between", async t => {
+  const calls = stubGitHub(t, [
+    json({ sha: "old" }),
+    json({ message: "is at new but expected old" }, 409),
+    json({ sha: "new" }),
+    json({ commit: { sha: "c1" } }, 201)
+  ]);
+  const { gh, slept } = client();
+
+  const res = await gh.putFile("docs/á.md", "tartalom", "msg", { branch: "dev" });
+  assert.equal(res.commit.sha, "c1");
+
+  const puts = calls.filter(c => c.method === "PUT");
+  assert.deepEqual(puts.map(c => c.body.sha), ["old", "new"]);
+  assert.equal(puts[0].url, "https://api.github.com/repos/o/r/contents/docs/%C3%A1.md");
+  assert.equal(base64ToUtf8(puts[1].body.content), "tartalom");
+  assert.equal(puts[1].body.branch, "dev");
+  assert.equal(calls[0].url, "https://api.github.com/repos/o/r/contents/docs/%C3%A1.md?ref=dev");
+  assert.equal(slept.length, 1);
+});
+
+test("a file that keeps changing ends in a GitHubConflictError", async t => {
+  const answers = [];
+  for (let i = 0; i < 3; i++) answers.push(json({ sha: `s${i}` }), json({ message: "sha does not match" }, 422));
+  const calls = stubGitHub(t, answers);
+  const { gh } = client({ maxRetries: 2 });
+
+  await assert.rejects(gh.putFile("a.txt", "x", "msg"), err => {
+    assert.ok(err instanceof GitHubConflictError);
+    assert.match(err.message, /a\.txt kept changing on GitHub – gave up after 3 attempt/);
+    return true;
+  });
+  assert.equal(calls.filter(c => c.method === "PUT").length, 3);
+});
+
+test("a pinned expectedSha writes once and reports a mismatch as a conflict", async t => {
+  const calls = stubGitHub(t, [json({ message: "sha does not match" }, 409)]);
+  const { gh } = client();
+
+  await assert.rejects(
+    gh.deleteFile("a.txt", "msg", { expectedSha: "abcdef123" }),
+    err => err instanceof GitHubConflictError && /a\.txt changed on GitHub \(expected abcdef1\)/.test(err.message)
+  );
+  assert.deepEqual(calls.map(c => [c.method, c.body.sha]), [["DELETE", "abcdef123"]]);
+});
+
+test("a rate-limited request waits for Retry-After and goes through", async t => {
+  const calls = stubGitHub(t, [
+    json({ message: "secondary rate limit" }, 403, { "retry-after": "3" }),
+    json([{ sha: "head" }], 200, { "x-ratelimit-remaining": "4999", "x-ratelimit-limit": "5000" })
+  ]);
+  const { gh, slept } = client();
+
+  assert.deepEqual(await gh.getLatestCommit("main"), { sha: "head" });
+  assert.equal(calls.length, 2);
+  assert.deepEqual(slept, [3000]);
+  assert.equal(gh.rateLimit.remaining, 4999);
+});
+
+test("a rate limit longer than maxRateLimitWaitMs fails with the reset time", async t => {
+  const reset = Math.floor(Date.now() / 1000) + 3600;
+  stubGitHub(t, [
+    json({ message: "API rate limit exceeded" }, 403, {
+      "x-ratelimit-remaining": "0",
+      "x-ratelimit-reset": String(reset)
+    })
+  ]);
+  const { gh, slept } = client({ maxRateLimitWaitMs: 1000 });
+
+  await assert.rejects(gh.getTree("abc"), err => {
+    assert.ok(err instanceof GitHubRateLimitError);
+    assert.equal(err.status, 403);
+    assert.equal(err.resetAt, new Date(reset * 1000).toISOString());
+    return true;
+  });
+  assert.deepEqual(slept, []);
+});
+
+test("404 is a GitHubNotFoundError, and null from the get* helpers", async t => {
+  stubGitHub(t, [json({ message: "Not Found" }, 404), json({ message: "Not Found" }, 404)]);
+  const { gh } = client();
+
+  assert.equal(await gh.getFileText("missing.md"), null);
+  await assert.rejects(gh.request("GET", "/repos/o/r/git/trees/nope"), err => {
+    assert.ok(err instanceof GitHubNotFoundError);
+    assert.ok(err instanceof GitHubError);
+    assert.equal(err.status, 404);
+    assert.equal(err.method, "GET");
+    assert.equal(err.body.message, "Not Found");
+    return true;
+  });
+});
+
+test("reads retry network errors and 5xx, writes never do", async t => {
+  const calls = stubGitHub(t, [
+    new TypeError("connection reset"),
+    json({ message: "oops" }, 502),
+    json({ sha: "tree" }),
+    new TypeError("connection reset"),
+    json({ message: "oops" }, 502)
+  ]);
+  const { gh } = client();
+
+  assert.deepEqual(await gh.getTree("abc"), { sha: "tree" });
+  assert.equal(calls.length, 3);
+
+  await assert.rejects(
+    gh.request("POST", "/repos/o/r/pulls", { title: "t" }),
+    err => err instanceof GitHubError && err.status === 0 && /connection reset/.test(err.message)
+  );
+  await assert.rejects(gh.request("PATCH", "/repos/o/r/git/refs/heads/main", { sha: "x" }), { status: 502 });
+  assert.deepEqual(calls.slice(3).map(c => c.method), ["POST", "PATCH"]);
+});
+
+test("a client without a token fails at once", () => {
+  assert.throws(() => createGitHubClient({}), GitHubError);
+});
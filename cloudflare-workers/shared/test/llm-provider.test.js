@@ -0,0 +1,125 @@
+// Mock LLM provider: deterministic, offline, and what the harmonizer
+// falls back to with LLM_PROVIDER=mock.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveLlmConfig, chatComplete, extractJson } from "../llm-provider.js";
+import { runHarmonizerPasses, buildPathPolicy } from "../harmonizer-engine.js";
+
+const mockEnv = { LLM_PROVIDER: "mock" };
+
+test("mock provider needs no API key and ignores the real model env", () => {
+  const config = resolveLlmConfig({ ...mockEnv, OPENAI_MODEL: "gpt-4.1-mini" });
+  assert.equal(config.provider, "mock");
+  assert.equal(config.model, "mock-1");
+  assert.equal(config.baseUrl, "mock://local");
+});
+
+test("request overrides pick the provider and model", () => {
+  const config = resolveLlmConfig({ LLM_PROVIDER: "openai" }, { provider: "MOCK", model: "mock-2" });
+  assert.equal(config.provider, "mock");
+  assert.equal(config.model, "mock-2");
+});
+
+test("unknown providers and missing keys fail at resolve time", () => {
+  assert.throws(() => resolveLlmConfig({ LLM_PROVIDER: "nope" }), /Unknown LLM provider: nope/);
+  assert.throws(() => resolveLlmConfig({ LLM_PROVIDER: "anthropic" }), /Missing API key/);
+});
+
+test("mock echo is stable per prompt and never touches the network", async t => {
+  const fetchMock = t.mock.method(globalThis, "fetch", async () => {
+    throw new Error("network used");
+  });
+  const config = resolveLlmConfig(mockEnv);
+
+  const a = await chatComplete(config, { system: "s", user: "hello" });
+  const b = await chatComplete(config, { system: "s", user: "hello" });
+  const c = await chatComplete(config, { system: "s", user: "other" });
+
+  assert.equal(a.text, b.text);
+  assert.notEqual(a.text, c.text);
+  assert.match(a.text, /^\[mock:mock-1\] [0-9a-f]{8}$/);
+  assert.deepEqual({ provider: a.provider, model: a.model }, { provider: "mock", model: "mock-1" });
+
+  const json = extractJson((await chatComplete(config, { user: "hello", json: true })).text);
+  assert.equal(json.mock, true);
+  assert.equal(fetchMock.mock.callCount(), 0);
+});
+
+test("mock provider hands the request to a caller's responder", async () => {
+  const config = resolveLlmConfig(mockEnv);
+  const seen = [];
+  const { text } = await chatComplete(config, { user: "ping" }, {
+    mock: (request, cfg) => {
+      seen.push([request.user, cfg.model]);
+      return "pong";
+    }
+  });
+  assert.equal(text, "pong");
+  assert.deepEqual(seen, [["ping", "mock-1"]]);
+});
+
+test("extractJson finds the object inside fenced prose", () => {
+  assert.deepEqual(extractJson('Sure:\n```json\n{ "files": [] }\n```'), { files: [] });
+  assert.throws(() => extractJson("no json here"), /no JSON object/);
+});
+
+test("harmonizer passes run end to end on the mock provider", async () => {
+  const env = { ...mockEnv, HARMONIZER_MAX_FILE_TOKENS: "20" };
+  const files = [
+    { path: "src/a.js", content: "const a = 1;   \n" },
+    { path: "src/b.js", content: "const b = 2;\n" },
+    { path: "src/big.js", content: "x  \n".repeat(40) }
+  ];
+
+  const result = await runHarmonizerPasses(env, resolveLlmConfig(env), {
+    owner: "o",
+    repo: "r",
+    baseBranch: "main",
+    note: "test",
+    files,
+    policy: buildPathPolicy(env, { include: ["src/**"] })
+  });
+
+  assert.deepEqual(result.llm, { provider: "mock", model: "mock-1" });
+  // b.js is already clean, big.js only went out truncated (read-only)
+  assert.deepEqual(result.files.map(f => [f.path, f.content]), [["src/a.js", "const a = 1;\n"]]);
+  assert.match(result.summary, /mock harmonizer: 1 file\(s\) normalized/);
+});
+
+test("harmonizer may create new files but not touch paths it did not send in full", async t => {
+  const env = { LLM_PROVIDER: "openai", OPENAI_API_KEY: "k" };
+  const reply = {
+    summary: "split a.js",
+    files: [
+      { path: "src/a.js", content: "export * from './a-util.js';\n" },
+      { path: "src/a-util.js", content: "export const a = 1;\n" },
+      { path: "src/asset.bin", content: "overwritten" },
+      { path: "src/moved.js", from: "src/unknown.js", content: "x" },
+      { path: "src/unknown.js", action: "delete" },
+      { path: ".env", content: "SECRET=1\n" }
+    ]
+  };
+  t.mock.method(globalThis, "fetch", async () =>
+    Response.json({ choices: [{ message: { content: JSON.stringify(reply) } }] })
+  );
+
+  const result = await runHarmonizerPasses(env, resolveLlmConfig(env), {
+    owner: "o",
+    repo: "r",
+    baseBranch: "main",
+    note: "test",
+    files: [{ path: "src/a.js", content: "export const a = 1;\n" }],
+    policy: buildPathPolicy(env, { include: ["**"] }),
+    readOnly: ["src/asset.bin"]
+  });
+
+  assert.deepEqual(result.files.map(f => f.path), ["src/a.js", "src/a-util.js"]);
+  assert.deepEqual(result.skipped, [
+    { path: "src/asset.bin", reason: "source was not sent in full" },
+    { path: "src/moved.js", reason: "not among the files sent to the model" },
+    { path: "src/unknown.js", reason: "not among the files sent to the model" }
+  ]);
+  assert.deepEqual(result.rejected.map(r => r.path), [".env"]);
+});
@@ -0,0 +1,152 @@
+// ZIP writer ↔ reader round trips, plus archives written by other tools.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createZipStream,
+  zipFiles,
+  unzip,
+  unzipToFileMap,
+  normalizeEntryPath,
+  bytesToBase64,
+  base64ToBytes,
+  ZipError
+} from "../zip.js";
+
+const BINARY = new Uint8Array([0, 1, 2, 3, 0xff, 0xfe, 0x80, 0x00, 0x7f]);
+
+// Python zipfile: "src/" and "assets/" directory entries, a deflated text
+// file, an empty file, a stored binary and a UTF-8 name (docs/ár.md)
+const PYTHON_ZIP =
+  "UEsDBBQAAAAAAAAAIQAAAAAAAAAAAAAAAAAEAAAAc3JjL1BLAwQUAAAACABYklJdiImp6hoAAAB8AQAACgAAAHNyYy9hcHAuanNLzs8r" +
+  "zs9J1cvJT9dQyshU0rTmSh4Voo8QAFBLAwQUAAAACABYklJdAAAAAAIAAAAAAAAACQAAAGVtcHR5LnR4dAMAUEsDBBQAAAAAAAAAIQAA" +
+  "AAAAAAAAAAAAAAAHAAAAYXNzZXRzL1BLAwQUAAAAAABYklJdf2Y7tAUAAAAFAAAADQAAAGFzc2V0cy9weC5iaW4AAQL//lBLAwQUAAAI" +
+  "CABYklJdkB3/bhEAAAAOAAAACwAAAGRvY3Mvw6FyLm1kO7ywqOzw2qqSoxuLjk7kAgBQSwECFAMUAAAAAAAAACEAAAAAAAAAAAAAAAAA" +
+  "BAAAAAAAAAAAAAAAgAEAAAAAc3JjL1BLAQIUAxQAAAAIAFiSUl2IianqGgAAAHwBAAAKAAAAAAAAAAAAAACAASIAAABzcmMvYXBwLmpz" +
+  "UEsBAhQDFAAAAAgAWJJSXQAAAAACAAAAAAAAAAkAAAAAAAAAAAAAAIABZAAAAGVtcHR5LnR4dFBLAQIUAxQAAAAAAAAAIQAAAAAAAAAA" +
+  "AAAAAAAHAAAAAAAAAAAAAACAAY0AAABhc3NldHMvUEsBAhQDFAAAAAAAWJJSXX9mO7QFAAAABQAAAA0AAAAAAAAAAAAAAIABsgAAAGFz" +
+  "c2V0cy9weC5iaW5QSwECFAMUAAAICABYklJdkB3/bhEAAAAOAAAACwAAAAAAAAAAAAAAgAHiAAAAZG9jcy/DoXIubWRQSwUGAAAAAAYA" +
+  "BgBKAQAAHAEAAAAA";
+
+async function collect(stream) {
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function replaceBytes(bytes, from, to) {
+  const a = new TextEncoder().encode(from);
+  const b = new TextEncoder().encode(to);
+  const out = bytes.slice();
+  for (let i = 0; i <= out.length - a.length; i++) {
+    if (a.every((v, j) => out[i + j] === v)) out.set(b, i);
+  }
+  return out;
+}
+
+test("createZipStream → unzip keeps text, bytes, base64 and empty entries", async () => {
+  const text = "export const x = 1;\n".repeat(50);
+  const archive = await collect(createZipStream([
+    { path: "src/app.js", content: text },
+    { path: "docs/árvíztűrő.md", content: "tükörfúrógép\n" },
+    { path: "img/raw.bin", bytes: BINARY },
+    { path: "img/b64.bin", content: bytesToBase64(BINARY), encoding: "base64" },
+    { path: "empty.txt", content: "" }
+  ]));
+
+  const files = await unzip(archive);
+  const byPath = new Map(files.map(f => [f.path, f.bytes]));
+  assert.deepEqual([...byPath.keys()], ["src/app.js", "docs/árvíztűrő.md", "img/raw.bin", "img/b64.bin", "empty.txt"]);
+  assert.equal(new TextDecoder().decode(byPath.get("src/app.js")), text);
+  assert.equal(new TextDecoder().decode(byPath.get("docs/árvíztűrő.md")), "tükörfúrógép\n");
+  assert.deepEqual(byPath.get("img/raw.bin"), BINARY);
+  assert.deepEqual(byPath.get("img/b64.bin"), BINARY);
+  assert.equal(byPath.get("empty.txt").length, 0);
+});
+
+test("compressible entries are deflated, incompressible ones stored", async () => {
+  const text = "a".repeat(10_000);
+  const archive = await zipFiles([{ path: "a.txt", content: text }, { path: "b.bin", bytes: BINARY }]);
+  assert.ok(archive.length < 1_000, `archive is ${archive.length} bytes`);
+
+  const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+  assert.equal(view.getUint16(8, true), 8); // a.txt: deflate
+  const second = 30 + "a.txt".length + view.getUint32(18, true);
+  assert.equal(view.getUint16(second + 8, true), 0); // b.bin: store
+});
+
+test("zipFiles ↔ unzipToFileMap round-trips a file map", async () => {
+  const files = [
+    { path: "README.md", content: "# ASA\n" },
+    { path: "assets/logo.png", content: bytesToBase64(BINARY), encoding: "base64" },
+    { path: "empty.txt", content: "" },
+    { path: "latin1.txt", content: bytesToBase64(new Uint8Array([0x63, 0x61, 0x66, 0xe9])), encoding: "base64" }
+  ];
+  assert.deepEqual(await unzipToFileMap(await zipFiles(files)), files);
+});
+
+test("uncompressed archives read back the same", async () => {
+  const files = [{ path: "a.txt", content: "hello\n" }, { path: "b.txt", content: "" }];
+  assert.deepEqual(await unzipToFileMap(await zipFiles(files, { compress: false })), files);
+});
+
+test("the writer pulls entries lazily from an async iterable", async () => {
+  const pulled = [];
+  async function* entries() {
+    for (const name of ["one", "two", "three"]) {
+      pulled.push(name);
+      yield { path: `${name}.txt`, content: name };
+    }
+  }
+
+  const reader = createZipStream(entries()).getReader();
+  await reader.read();
+  assert.deepEqual(pulled, ["one"]);
+
+  const rest = [];
+  for (let r = await reader.read(); !r.done; r = await reader.read()) rest.push(r.value);
+  assert.deepEqual(pulled, ["one", "two", "three"]);
+  assert.equal(rest.length, 3); // two entries + central directory
+});
+
+test("modification times survive at DOS resolution", async () => {
+  const modified = "2024-05-06T07:08:10.000Z";
+  const [file] = await unzip(await zipFiles([{ path: "t.txt", content: "t", modified }]));
+  assert.equal(file.modified, modified);
+});
+
+test("archives from other tools: directory entries are skipped", async () => {
+  const archive = base64ToBytes(PYTHON_ZIP);
+
+  const files = await unzip(archive);
+  assert.deepEqual(files.map(f => f.path), ["src/app.js", "empty.txt", "assets/px.bin", "docs/ár.md"]);
+
+  assert.deepEqual(await unzipToFileMap(archive), [
+    { path: "src/app.js", content: 'console.log("hi");\n'.repeat(20) },
+    { path: "empty.txt", content: "" },
+    { path: "assets/px.bin", content: bytesToBase64(new Uint8Array([0, 1, 2, 255, 254])), encoding: "base64" },
+    { path: "docs/ár.md", content: "árvíztűrő\n" }
+  ]);
+});
+
+test("the writer refuses duplicates, directories and escaping paths", async () => {
+  await assert.rejects(zipFiles([{ path: "a", content: "1" }, { path: "./a", content: "2" }]), /Duplicate entry: a/);
+  await assert.rejects(zipFiles([{ path: "dir/", content: "" }]), ZipError);
+  await assert.rejects(zipFiles([{ path: "../etc/passwd", content: "" }]), /Invalid entry path/);
+  await assert.rejects(zipFiles([{ path: "nothing" }]), /Entry has no content/);
+});
+
+test("the reader refuses path traversal, bad CRCs and non-archives", async () => {
+  const archive = await zipFiles([{ path: "xx/evil.txt", content: "boo" }], { compress: false });
+
+  await assert.rejects(unzip(replaceBytes(archive, "xx/", "../")), /Invalid entry path/);
+  await assert.rejects(unzip(replaceBytes(archive, "boo", "bo!")), /CRC mismatch: xx\/evil.txt/);
+  await assert.rejects(unzip(new TextEncoder().encode("not a zip")), /Not a ZIP archive/);
+});
+
+test("normalizeEntryPath cleans Windows and ./ prefixes", () => {
+  assert.equal(normalizeEntryPath(".\\src\\a.js"), "src/a.js");
+  assert.equal(normalizeEntryPath("./a/b"), "a/b");
+  for (const bad of ["/abs", "C:/x", "a//b", "a/../b", ""]) {
+    assert.throws(() => normalizeEntryPath(bad), ZipError, bad);
+  }
+});
@@ -0,0 +1,348 @@
+// ======================================================================
+// ASA SHARED – ZIP (streaming writer + reader)
+// ======================================================================
+//
+// Writer: createZipStream(entries) pulls one entry at a time from a (async)
+// iterable and emits it right away, so a whole GitHub tree never has to sit
+// in memory – only the file being written and the central directory.
+// Entries are deflated with CompressionStream("deflate-raw") and stored
+// as-is when that does not make them smaller.
+//
+// Reader: unzip(bytes) → [{ path, bytes, modified }], methods store (0) and
+// deflate (8), CRC checked. Paths that would escape the archive root
+// ("../", absolute, drive letters) are rejected.
+//
+// File map entries (what the sync pipeline and Base44 JSON import use):
+//   { path, content }                       UTF-8 text
+//   { path, content, encoding: "base64" }   binary
+//
+// No ZIP64: at most 65535 entries and 4 GB per archive.
+
+import { looksBinary } from "./glob.js";
+
+const LOCAL_HEADER_SIG = 0x04034b50;
+const CENTRAL_HEADER_SIG = 0x02014b50;
+const END_OF_CENTRAL_SIG = 0x06054b50;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const VERSION = 20; // 2.0: deflate, directories
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+export class ZipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ZipError";
+  }
+}
+
+// ======================================================================
+// WRITER
+// ======================================================================
+
+/**
+ * entries: iterable / async iterable of file map entries
+ * ({ path, content, encoding? }, or `bytes` instead of `content`),
+ * optionally with `modified` (Date / ISO string).
+ *
+ * Returns a ReadableStream<Uint8Array> of the archive.
+ */
+export function createZipStream(entries, { compress = true } = {}) {
+  const iterator = (entries[Symbol.asyncIterator] || entries[Symbol.iterator]).call(entries);
+  const central = [];
+  const seen = new Set();
+  let offset = 0;
+  let finished = false;
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        if (finished) return controller.close();
+
+        const next = await iterator.next();
+        if (next.done) {
+          controller.enqueue(endOfArchive(central, offset));
+          finished = true;
+          return controller.close();
+        }
+
+        const path = normalizeEntryPath(next.value.path);
+        if (seen.has(path)) throw new ZipError(`Duplicate entry: ${path}`);
+        if (central.length === MAX_ENTRIES) throw new ZipError(`More than ${MAX_ENTRIES} entries`);
+        seen.add(path);
+
+        const { chunk, record } = await writeEntry(path, next.value, offset, compress);
+        central.push(record);
+        offset += chunk.length;
+        if (offset > MAX_SIZE) throw new ZipError("Archive larger than 4 GB");
+        controller.enqueue(chunk);
+      } catch (e) {
+        controller.error(e);
+        await iterator.return?.();
+      }
+    },
+
+    async cancel() {
+      await iterator.return?.();
+    }
+  });
+}
+
+/**
+ * Whole archive at once (small payloads, e.g. a Base44 import).
+ */
+export async function zipFiles(entries, options) {
+  return new Uint8Array(await new Response(createZipStream(entries, options)).arrayBuffer());
+}
+
+async function writeEntry(path, entry, offset, compress) {
+  const data = entryBytes(entry);
+  const crc = crc32(data);
+  if (data.length > MAX_SIZE) throw new ZipError(`Entry larger than 4 GB: ${path}`);
+
+  let method = METHOD_STORE;
+  let stored = data;
+  if (compress && data.length) {
+    const deflated = await deflateRaw(data);
+    if (deflated.length < data.length) {
+      method = METHOD_DEFLATE;
+      stored = deflated;
+    }
+  }
+
+  const name = new TextEncoder().encode(path);
+  const { time, date } = dosDateTime(entry.modified);
+  const meta = { method, time, date, crc, compressedSize: stored.length, size: data.length, name };
+
+  const header = new Uint8Array(30 + name.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, LOCAL_HEADER_SIG, true);
+  writeCommon(view, 4, meta);
+  header.set(name, 30);
+
+  const chunk = new Uint8Array(header.length + stored.length);
+  chunk.set(header);
+  chunk.set(stored, header.length);
+  return { chunk, record: { ...meta, offset } };
+}
+
+// version / flags / method / time / date / crc / sizes / name length / extra length
+function writeCommon(view, at, meta) {
+  view.setUint16(at, VERSION, true);
+  view.setUint16(at + 2, FLAG_UTF8, true);
+  view.setUint16(at + 4, meta.method, true);
+  view.setUint16(at + 6, meta.time, true);
+  view.setUint16(at + 8, meta.date, true);
+  view.setUint32(at + 10, meta.crc, true);
+  view.setUint32(at + 14, meta.compressedSize, true);
+  view.setUint32(at + 18, meta.size, true);
+  view.setUint16(at + 22, meta.name.length, true);
+  view.setUint16(at + 24, 0, true);
+}
+
+function endOfArchive(central, offset) {
+  const size = central.reduce((sum, r) => sum + 46 + r.name.length, 0);
+  const out = new Uint8Array(size + 22);
+  const view = new DataView(out.buffer);
+
+  let at = 0;
+  for (const r of central) {
+    view.setUint32(at, CENTRAL_HEADER_SIG, true);
+    view.setUint16(at + 4, VERSION, true); // made by
+    writeCommon(view, at + 6, r);
+    // comment length, disk, internal + external attributes stay 0
+    view.setUint32(at + 42, r.offset, true);
+    out.set(r.name, at + 46);
+    at += 46 + r.name.length;
+  }
+
+  view.setUint32(at, END_OF_CENTRAL_SIG, true);
+  view.setUint16(at + 8, central.length, true);
+  view.setUint16(at + 10, central.length, true);
+  view.setUint32(at + 12, size, true);
+  view.setUint32(at + 16, offset, true);
+  return out;
+}
+
+function entryBytes(entry) {
+  if (entry.bytes != null) return toUint8Array(entry.bytes);
+  if (entry.encoding === "base64") return base64ToBytes(entry.content);
+  if (typeof entry.content === "string") return new TextEncoder().encode(entry.content);
+  if (entry.content != null) return toUint8Array(entry.content);
+  throw new ZipError(`Entry has no content: ${entry.path}`);
+}
+
+// ======================================================================
+// READER
+// ======================================================================
+
+/**
+ * data: ArrayBuffer / Uint8Array of a whole archive
+ * → [{ path, bytes, modified }] in central directory order (no directories)
+ */
+export async function unzip(data) {
+  const bytes = toUint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const end = findEndOfCentral(view);
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    if (at + 46 > bytes.length || view.getUint32(at, true) !== CENTRAL_HEADER_SIG) {
+      throw new ZipError("Corrupt central directory");
+    }
+    const flags = view.getUint16(at + 8, true);
+    const method = view.getUint16(at + 10, true);
+    const modified = fromDosDateTime(view.getUint16(at + 12, true), view.getUint16(at + 14, true));
+    const crc = view.getUint32(at + 16, true);
+    const compressedSize = view.getUint32(at + 20, true);
+    const size = view.getUint32(at + 24, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const extraLength = view.getUint16(at + 30, true);
+    const commentLength = view.getUint16(at + 32, true);
+    const localOffset = view.getUint32(at + 42, true);
+    const rawName = bytes.subarray(at + 46, at + 46 + nameLength);
+    at += 46 + nameLength + extraLength + commentLength;
+
+    const name = flags & FLAG_UTF8 ? new TextDecoder().decode(rawName) : latin1(rawName);
+    if (name.endsWith("/")) continue; // directory
+    if (flags & 0x0001) throw new ZipError(`Encrypted entry: ${name}`);
+    if (compressedSize === MAX_SIZE || size === MAX_SIZE) throw new ZipError(`ZIP64 entry not supported: ${name}`);
+
+    if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== LOCAL_HEADER_SIG) {
+      throw new ZipError(`Corrupt local header: ${name}`);
+    }
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const stored = bytes.subarray(start, start + compressedSize);
+    if (stored.length !== compressedSize) throw new ZipError(`Truncated entry: ${name}`);
+
+    let content;
+    if (method === METHOD_STORE) content = stored.slice();
+    else if (method === METHOD_DEFLATE) content = await inflateRaw(stored);
+    else throw new ZipError(`Unsupported compression method ${method}: ${name}`);
+
+    if (content.length !== size || crc32(content) !== crc) throw new ZipError(`CRC mismatch: ${name}`);
+    files.push({ path: normalizeEntryPath(name), bytes: content, modified });
+  }
+  return files;
+}
+
+/**
+ * Archive → file map: UTF-8 text as `content`, everything else base64.
+ */
+export async function unzipToFileMap(data) {
+  const decoder = new TextDecoder("utf-8", { fatal: true });
+  return (await unzip(data)).map(({ path, bytes }) => {
+    if (!looksBinary(bytes)) {
+      try {
+        return { path, content: decoder.decode(bytes) };
+      } catch (_) {
+        // not valid UTF-8 → binary
+      }
+    }
+    return { path, content: bytesToBase64(bytes), encoding: "base64" };
+  });
+}
+
+function findEndOfCentral(view) {
+  // the record is 22 bytes + an optional comment of up to 64 KB
+  const min = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let at = view.byteLength - 22; at >= min; at--) {
+    if (view.getUint32(at, true) === END_OF_CENTRAL_SIG) return at;
+  }
+  throw new ZipError("Not a ZIP archive (no end of central directory)");
+}
+
+// ======================================================================
+// HELPERS
+// ======================================================================
+
+/**
+ * "./a\\b.txt" → "a/b.txt". Throws on paths that leave the archive root.
+ */
+export function normalizeEntryPath(path) {
+  const clean = String(path || "").replace(/\\/g, "/").replace(/^(\.\/)+/, "");
+  const parts = clean.split("/");
+  if (!clean || clean.startsWith("/") || /^[a-z]:/i.test(clean) || parts.includes("..") || parts.includes("")) {
+    throw new ZipError(`Invalid entry path: ${JSON.stringify(path)}`);
+  }
+  return clean;
+}
+
+export function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+  const binary = atob(String(base64 || "").replace(/\s+/g, ""));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) return data;
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  throw new ZipError("Expected ArrayBuffer / Uint8Array");
+}
+
+function latin1(bytes) {
+  return String.fromCharCode(...bytes);
+}
+
+async function deflateRaw(bytes) {
+  return pipeThrough(bytes, new CompressionStream("deflate-raw"));
+}
+
+async function inflateRaw(bytes) {
+  try {
+    return await pipeThrough(bytes, new DecompressionStream("deflate-raw"));
+  } catch (e) {
+    throw new ZipError(`Inflate failed: ${e.message}`);
+  }
+}
+
+async function pipeThrough(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// MS-DOS time: 2 s resolution, local fields (we write UTC), years 1980–2107
+function dosDateTime(modified) {
+  const d = modified ? new Date(modified) : new Date();
+  const valid = !isNaN(d) && d.getUTCFullYear() >= 1980;
+  const t = valid ? d : new Date(Date.UTC(1980, 0, 1));
+  return {
+    time: (t.getUTCHours() << 11) | (t.getUTCMinutes() << 5) | (t.getUTCSeconds() >> 1),
+    date: ((Math.min(t.getUTCFullYear(), 2107) - 1980) << 9) | ((t.getUTCMonth() + 1) << 5) | t.getUTCDate()
+  };
+}
+
+function fromDosDateTime(time, date) {
+  return new Date(Date.UTC(
+    (date >> 9) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+    time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+  )).toISOString();
+}
+
+let CRC_TABLE = null;
+
+function crc32(bytes) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}